@@ -1,6 +1,3 @@
-const { readJSON } = require('./utils.js');
-const path = require('path');
-
 class Aggregate {
   // === Core Functionality ===
   constructor(model, pipeline = []) {
@@ -27,13 +24,42 @@ class Aggregate {
     });
   }
 
+  _leadingStages() {
+    const matches = [];
+    let index = 0;
+    while (index < this.pipeline.length && this.pipeline[index].$match) {
+      matches.push(this.pipeline[index].$match);
+      index++;
+    }
+
+    const options = {};
+    const stage = this.pipeline[index];
+    if (stage && stage.$skip !== undefined) {
+      options.skip = stage.$skip;
+      index++;
+    }
+    // `_find` reads a limit of 0 as none, so only positive limits are
+    // folded in; others stay a stage of the pipeline
+    const limit = this.pipeline[index] && this.pipeline[index].$limit;
+    if (Number.isInteger(limit) && limit > 0) {
+      options.limit = limit;
+      index++;
+    }
+
+    const conditions = matches.length > 1 ? { $and: matches } : (matches[0] || {});
+    return { conditions, options, start: index };
+  }
+
   async exec() {
     if (!this.model._find) {
       throw new Error('_find method is not implemented in the model');
     }
-    let docs = await this.model._find();
+    // Leading $match, $skip and $limit stages are applied while the
+    // collection is streamed, the rest of the pipeline runs on the result
+    const { conditions, options, start } = this._leadingStages();
+    let docs = await this.model._find(conditions, options);
     
-    for (const stage of this.pipeline) {
+    for (const stage of this.pipeline.slice(start)) {
       const operator = Object.keys(stage)[0];
       const operation = stage[operator];
       
@@ -102,11 +128,11 @@ class Aggregate {
           break;
 
         case '$graphLookup':
-          docs = this._graphLookup(docs, operation);
+          docs = await this._graphLookup(docs, operation);
           break;
 
         case '$unionWith':
-          docs = this._unionWith(docs, operation);
+          docs = await this._unionWith(docs, operation);
           break;
 
         case '$sortByCount':
@@ -188,38 +214,37 @@ class Aggregate {
 
   async _merge(docs, operation) {
     const { into, on, whenMatched, whenNotMatched } = operation;
-    const targetCollectionPath = path.join(this.model.connection.dbPath, `${into}.json`);
-    const targetDocs = await readJSON(targetCollectionPath);
-
-    const mergedDocs = docs.map(doc => {
-      const matchIndex = targetDocs.findIndex(targetDoc => targetDoc[on] === doc[on]);
-      if (matchIndex !== -1) {
-        switch (whenMatched) {
-          case 'replace':
-            targetDocs[matchIndex] = doc;
-            break;
-          case 'merge':
-            targetDocs[matchIndex] = { ...targetDocs[matchIndex], ...doc };
-            break;
-          case 'keepExisting':
-          default:
-            break;
-        }
-      } else {
-        if (whenNotMatched === 'insert') {
-          targetDocs.push(doc);
+
+    return this.model.connection._mutateCollection(into, (targetDocs, changes) => {
+      return docs.map(doc => {
+        const matchIndex = targetDocs.findIndex(targetDoc => targetDoc[on] === doc[on]);
+        if (matchIndex !== -1) {
+          switch (whenMatched) {
+            case 'replace':
+              targetDocs[matchIndex] = doc;
+              changes.push({ op: 'update', doc });
+              break;
+            case 'merge':
+              targetDocs[matchIndex] = { ...targetDocs[matchIndex], ...doc };
+              changes.push({ op: 'update', doc: targetDocs[matchIndex] });
+              break;
+            case 'keepExisting':
+            default:
+              break;
+          }
+        } else {
+          if (whenNotMatched === 'insert') {
+            targetDocs.push(doc);
+            changes.push({ op: 'insert', doc });
+          }
         }
-      }
-      return doc;
+        return doc;
+      });
     });
-
-    await writeJSON(targetCollectionPath, targetDocs);
-    return mergedDocs;
   }
 
   async _out(docs, collection) {
-    const targetCollectionPath = path.join(this.model.connection.dbPath, `${collection}.json`);
-    await writeJSON(targetCollectionPath, docs);
+    await this.model.connection._replaceCollection(collection, docs);
     return docs;
   }
 
@@ -603,7 +628,7 @@ class Aggregate {
     return result;
   }
   
-  _graphLookup(docs, options) {
+  async _graphLookup(docs, options) {
     // Input validation
     if (!docs || !options) {
       throw new Error('Invalid input: docs and options are required');
@@ -624,7 +649,7 @@ class Aggregate {
       throw new Error('Missing required graph lookup parameters');
     }
 
-    const foreignDocs = this.model._getCollection(from);
+    const foreignDocs = await this.model._getCollection(from);
     if (!foreignDocs) {
       throw new Error(`Collection '${from}' not found`);
     }
@@ -684,8 +709,8 @@ class Aggregate {
     return results;
   }
 
-  _unionWith(docs, { coll, pipeline }) {
-    const additionalDocs = this.model._getCollection(coll);
+  async _unionWith(docs, { coll, pipeline }) {
+    const additionalDocs = await this.model._getCollection(coll);
     const unionDocs = pipeline.length ? new Aggregate(this.model, pipeline).execSync(additionalDocs) : additionalDocs;
     return [...docs, ...unionDocs];
   }
@@ -1084,65 +1109,13 @@ class Aggregate {
       }
   
       case '$out': {
-        // Determine the target collection path
-        const targetCollectionPath = path.join(
-          this.connection.dbPath, 
-          `${operation}.json`
-        );
-      
-        // Write the current docs to the target collection
-        await writeJSON(targetCollectionPath, docs);
-      
-        // Optionally, you can return the docs or an empty array
-        return docs;
+        return this._out(docs, operation);
       }
   
       case '$merge': {
-        const { into, on, whenMatched, whenNotMatched } = operation;
-        
-        // Simulate merge logic
-        const existingCollection = this.model._getCollection(into) || [];
-        
-        const mergedDocs = docs.map(doc => {
-          // Find matching documents based on 'on' field
-          const matchIndex = existingCollection.findIndex(
-            existing => existing[on] === doc[on]
-          );
-  
-          if (matchIndex !== -1) {
-            // When matched
-            switch (whenMatched) {
-              case 'replace':
-                existingCollection[matchIndex] = doc;
-                break;
-              case 'merge':
-                existingCollection[matchIndex] = { 
-                  ...existingCollection[matchIndex], 
-                  ...doc 
-                };
-                break;
-              case 'keepExisting':
-              default:
-                break;
-            }
-          } else {
-            // When not matched
-            switch (whenNotMatched) {
-              case 'insert':
-                existingCollection.push(doc);
-                break;
-              case 'discard':
-              default:
-                break;
-            }
-          }
-  
-          return doc;
-        });
-  
-        return mergedDocs;
+        return this._merge(docs, operation);
       }
-  
+
       case '$replaceRoot': {
         const { newRoot } = operation;
         return docs.map(doc => {
@@ -0,0 +1,293 @@
+const { cloneDeep, isEqual } = require('lodash');
+const { IntegrityError, EncryptionError } = require('./errors.js');
+
+// Name of the collection holding the catalog. It is stored through the
+// storage adapter like any other collection (`_meta.json` with the JSON
+// file adapter), but never listed as one.
+const CATALOG_COLLECTION = '_meta';
+
+// Names Model#backup gives its backups: `<model>_backup_<timestamp>`
+const BACKUP_NAME_PATTERN = /^(.+)_backup_\d{4}-\d{2}-\d{2}T[\d-]+(?:\.\d+)?Z$/;
+
+class Catalog {
+  // === Core Functionality ===
+  // Keeps one entry per collection of a connection:
+  //   { _id, name, type: 'collection' | 'backup', source?, options,
+  //     indexes: [{ name, fields, options }], searchIndexes: [...],
+  //     schemaVersion, count, size, signature, createdAt, updatedAt }
+  // `source` names the model a backup was taken of. `count` and `size` were
+  // taken from the collection's files as `signature` identifies them (see
+  // StorageAdapter#stat), so they are known to be stale once it changes;
+  // see Counts below.
+  // Listing entries first adds the collections found in storage that the
+  // catalog does not know (a database written before the catalog existed,
+  // files copied in by hand) and drops the entries of collections no
+  // longer there.
+  constructor(connection) {
+    this.connection = connection;
+    this._ready = false;
+    // name -> { count, size, signature } noted since the counts were saved
+    this._counts = new Map();
+  }
+
+  // Forgets that the catalog was found, e.g. once the database is dropped
+  reset() {
+    this._ready = false;
+    this._counts.clear();
+  }
+
+  async _ensure() {
+    if (this._ready) return;
+    if (!(await this.connection.storage.stat(CATALOG_COLLECTION))) {
+      await this._sync();
+    }
+    this._ready = true;
+  }
+
+  // === Reading Entries ===
+  // Entries matching every field of `filter`, e.g. { type: 'backup' }
+  async list(filter = {}) {
+    await this._ensure();
+    const names = await this._storedNames();
+    let entries = await this.connection._loadCollection(CATALOG_COLLECTION);
+    const inSync = entries.length === names.length && entries.every(entry => names.includes(entry._id));
+    if (!inSync) {
+      await this._sync();
+      entries = await this.connection._loadCollection(CATALOG_COLLECTION);
+    }
+    const listed = entries
+      .filter(entry => Object.entries(filter).every(([key, value]) => entry[key] === value))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    const counted = [];
+    for (const entry of listed) {
+      counted.push(await this._counted(entry));
+    }
+    return counted;
+  }
+
+  async get(name) {
+    await this._ensure();
+    const entries = await this.connection._loadCollection(CATALOG_COLLECTION);
+    const entry = entries.find(existing => existing._id === name);
+    return entry ? this._counted(entry) : null;
+  }
+
+  // Turns the dates of entries read from legacy plain JSON, which are
+  // strings, back into Dates (see Connection#migrate)
+  castDates(entries) {
+    for (const entry of entries) {
+      for (const key of ['createdAt', 'updatedAt']) {
+        if (typeof entry[key] === 'string') entry[key] = new Date(entry[key]);
+      }
+    }
+    return entries;
+  }
+
+  // Current document count of a collection, or null when it has no entry
+  // or cannot be read
+  async count(name) {
+    const entry = await this.get(name);
+    return entry ? entry.count : null;
+  }
+
+  // === Writing Entries ===
+  // Runs `fn` on the entry of a collection (created if missing) and stores
+  // it if it changed. Resolves to what `fn` returns.
+  async update(name, fn) {
+    await this._ensure();
+    return this.connection._mutateCollection(CATALOG_COLLECTION, async (entries, changes) => {
+      let entry = entries.find(existing => existing._id === name);
+      const isNew = !entry;
+      if (isNew) {
+        entry = newEntry(name);
+        entries.push(entry);
+      }
+      const previous = cloneDeep(entry);
+      const result = await fn(entry);
+      if (isNew || !isEqual(previous, entry)) {
+        entry.updatedAt = new Date();
+        changes.push({ op: isNew ? 'insert' : 'update', doc: entry });
+      }
+      return result;
+    });
+  }
+
+  // Records a collection (with the `info` fields given) unless it already
+  // has an entry holding them. A collection that is new to the catalog is
+  // counted first, as it may already hold documents.
+  async register(name, info = {}) {
+    const existing = await this.get(name);
+    if (existing && Object.entries(info).every(([key, value]) => isEqual(existing[key], value))) return;
+
+    const stats = existing ? null : await this._measure(name);
+    await this.update(name, entry => {
+      if (stats) Object.assign(entry, stats);
+      Object.assign(entry, info);
+    });
+  }
+
+  async remove(name) {
+    this._counts.delete(name);
+    await this._ensure();
+    return this.connection._mutateCollection(CATALOG_COLLECTION, async (entries, changes) => {
+      const index = entries.findIndex(entry => entry._id === name);
+      if (index === -1) return false;
+      changes.push({ op: 'delete', doc: entries[index] });
+      entries.splice(index, 1);
+      return true;
+    });
+  }
+
+  // Moves the entry of a collection to its new name, replacing the entry
+  // of the collection it overwrote, if any
+  async rename(from, to) {
+    const noted = this._counts.get(from);
+    this._counts.delete(from);
+    this._counts.delete(to);
+    if (noted) this._counts.set(to, noted);
+    await this._ensure();
+    return this.connection._mutateCollection(CATALOG_COLLECTION, async (entries, changes) => {
+      const targetIndex = entries.findIndex(entry => entry._id === to);
+      if (targetIndex !== -1) {
+        changes.push({ op: 'delete', doc: entries[targetIndex] });
+        entries.splice(targetIndex, 1);
+      }
+      const index = entries.findIndex(entry => entry._id === from);
+      if (index === -1) return;
+      changes.push({ op: 'delete', doc: entries[index] });
+      const entry = { ...entries[index], _id: to, name: to, updatedAt: new Date() };
+      entries.splice(index, 1, entry);
+      changes.push({ op: 'insert', doc: entry });
+    });
+  }
+
+  // Recounts every collection in storage. Resolves to the number of
+  // collections.
+  async rebuild() {
+    this._counts.clear();
+    const count = await this._sync({ remeasure: true });
+    this._ready = true;
+    return count;
+  }
+
+  // === Counts ===
+  // Storing the catalog after every write would write two files per write,
+  // so writes only note the count and size they leave (see
+  // Connection#_afterWrite), and saveCounts() stores the noted ones on
+  // flush(), compact() and close(). Reads take the count that matches the
+  // signature of the collection's files: the noted one, else the stored
+  // one, else the collection was written by another process (or by a
+  // connection that ended without saving) and is counted again.
+  noteCount(name, count, stats) {
+    if (name === CATALOG_COLLECTION) return;
+    if (!stats) {
+      this._counts.delete(name);
+      return;
+    }
+    this._counts.set(name, { count, size: stats.size, signature: stats.signature });
+  }
+
+  async saveCounts() {
+    if (this._counts.size === 0) return;
+    const counts = new Map(this._counts);
+    await this._ensure();
+    await this.connection._mutateCollection(CATALOG_COLLECTION, async (entries, changes) => {
+      for (const [name, noted] of counts) {
+        const entry = entries.find(existing => existing._id === name);
+        // Collections without an entry are counted once listed
+        if (!entry || entry.signature === noted.signature) continue;
+        Object.assign(entry, noted, { updatedAt: new Date() });
+        changes.push({ op: 'update', doc: entry });
+      }
+    });
+    for (const [name, noted] of counts) {
+      if (this._counts.get(name) === noted) this._counts.delete(name);
+    }
+  }
+
+  async _counted(entry) {
+    const stats = await this.connection.storage.stat(entry.name);
+    if (!stats) return entry;
+    const noted = this._counts.get(entry.name);
+    if (noted && noted.signature === stats.signature) {
+      return { ...entry, count: noted.count, size: noted.size };
+    }
+    if (entry.signature === stats.signature) return entry;
+
+    const measured = await this._measure(entry.name);
+    if (measured.count !== null && this._counts.get(entry.name) === noted) {
+      this._counts.set(entry.name, measured);
+    }
+    return { ...entry, count: measured.count, size: measured.size };
+  }
+
+  // Makes the catalog list exactly the collections in storage. Collections
+  // it does not know are counted and recognized as backups by their name;
+  // known ones keep their entry (recounted with `remeasure`).
+  async _sync(options = {}) {
+    const names = await this._storedNames();
+    return this.connection._mutateCollection(CATALOG_COLLECTION, async (entries, changes) => {
+      const previous = new Map(entries.map(entry => [entry._id, entry]));
+      const synced = [];
+      for (const name of names) {
+        let entry = previous.get(name);
+        if (!entry) {
+          entry = Object.assign(newEntry(name, BACKUP_NAME_PATTERN.exec(name)), await this._measure(name));
+          changes.push({ op: 'insert', doc: entry });
+        } else if (options.remeasure) {
+          Object.assign(entry, await this._measure(name), { updatedAt: new Date() });
+          changes.push({ op: 'update', doc: entry });
+        }
+        synced.push(entry);
+        previous.delete(name);
+      }
+      for (const entry of previous.values()) {
+        changes.push({ op: 'delete', doc: entry });
+      }
+      entries.splice(0, entries.length, ...synced);
+      return synced.length;
+    });
+  }
+
+  async _storedNames() {
+    return (await this.connection.storage.list()).filter(name => name !== CATALOG_COLLECTION);
+  }
+
+  // Document count, stored size and signature of a collection. The count
+  // of a collection that cannot be read (damaged, or encrypted with another
+  // key) is null until its next write, so that it never holds up the
+  // others.
+  async _measure(name) {
+    let count = 0;
+    try {
+      const docs = this.connection._iterateCollection(name);
+      while (!(await docs.next()).done) count++;
+    } catch (error) {
+      if (!(error instanceof IntegrityError || error instanceof EncryptionError)) throw error;
+      count = null;
+    }
+    const stats = await this.connection.storage.stat(name);
+    return { count, size: stats ? stats.size : 0, signature: stats ? stats.signature : null };
+  }
+}
+
+function newEntry(name, backupMatch = null) {
+  const now = new Date();
+  return {
+    _id: name,
+    name,
+    type: backupMatch ? 'backup' : 'collection',
+    ...(backupMatch ? { source: backupMatch[1] } : {}),
+    options: {},
+    indexes: [],
+    searchIndexes: [],
+    schemaVersion: null,
+    count: 0,
+    size: 0,
+    signature: null,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+module.exports = { Catalog, CATALOG_COLLECTION };
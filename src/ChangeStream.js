@@ -0,0 +1,295 @@
+const { EventEmitter } = require('events');
+const { ObjectId } = require('bson');
+const { cloneDeep, get, isEqual } = require('lodash');
+const { isPlainObject } = require('./utils.js');
+
+class ChangeStream extends EventEmitter {
+  // === Core Functionality ===
+  // Delivers the change events of a connection (of one collection when
+  // `scope.collection` is given) as they happen:
+  //   { _id: <resume token>, operationType, wallTime, ns: { db, coll },
+  //     documentKey: { _id }, fullDocument?, updateDescription? }
+  // see changeEvent below. Changes are emitted as 'change' events, and
+  // queued for next() and `for await` once either is used.
+  // `pipeline` may hold $match stages, matched against the whole event
+  // (e.g. { $match: { operationType: 'insert', 'fullDocument.role': 'admin' } }).
+  // With `options.resumeAfter` (or `startAfter`) set to the `_id` of an
+  // event, the events after it are delivered first, see
+  // Connection#_changesSince. `scope.transform` rewrites events before
+  // they are matched (Model#watch decrypts fields with it).
+  constructor(connection, pipeline = [], options = {}, scope = {}) {
+    super();
+    assertPipeline(pipeline);
+    assertFullDocument(options.fullDocument || 'default');
+    this.connection = connection;
+    this.pipeline = pipeline;
+    this.options = { fullDocument: 'default', ...options };
+    this.closed = false;
+    this._collection = scope.collection || null;
+    this._transform = scope.transform || null;
+    this._resumeToken = options.resumeAfter || options.startAfter || null;
+    this._iterating = false;
+    this._buffer = [];
+    this._waiters = [];
+    this._error = null;
+    // Tokens of the events delivered from the history, which may be
+    // published again while it is read
+    this._replayed = new Set();
+    this._delivery = Promise.resolve();
+
+    connection._openChangeStream(this);
+    if (this._resumeToken) {
+      this._delivery = connection._changesSince(this._resumeToken)
+        .then(events => this._replay(events))
+        .catch(error => this._fail(error));
+    }
+  }
+
+  get resumeToken() {
+    return this._resumeToken;
+  }
+
+  // === Delivery ===
+  // Called by the connection for every change event, in order
+  _push(event) {
+    if (this.closed || !this._accepts(event)) return;
+    this._delivery = this._delivery
+      .then(() => this._deliver(event))
+      .catch(error => this._fail(error));
+  }
+
+  _accepts(event) {
+    return !this._collection || event.operationType === 'dropDatabase' || event.ns.coll === this._collection;
+  }
+
+  async _replay(events) {
+    for (const event of events) {
+      this._replayed.add(event._id._data);
+    }
+    for (const event of events) {
+      if (this._accepts(event)) await this._deliver(event, { replayed: true });
+    }
+  }
+
+  async _deliver(event, options = {}) {
+    if (this.closed) return;
+    if (!options.replayed && this._replayed.has(event._id._data)) return;
+
+    let change = cloneDeep(event);
+    if (change.operationType === 'update') {
+      change.fullDocument = await this._updatedDocument(change);
+      if (change.fullDocument === undefined) delete change.fullDocument;
+    }
+    if (this._transform) {
+      change = this._transform(change);
+    }
+    if (!this.pipeline.every(stage => matchesFilter(change, stage.$match))) return;
+
+    this._resumeToken = change._id;
+    this.emit('change', change);
+    if (this._waiters.length > 0) {
+      this._waiters.shift().resolve(change);
+    } else if (this._iterating) {
+      this._buffer.push(change);
+    }
+  }
+
+  // `fullDocument` of an update event, as the `fullDocument` option asks:
+  // left out, looked up, or the document as the update left it (recorded
+  // with the event, see changeEvent)
+  async _updatedDocument(change) {
+    switch (this.options.fullDocument) {
+      case 'updateLookup':
+        return this.connection._lookupDocument(change.ns.coll, change.documentKey._id);
+      case 'whenAvailable':
+        return change.fullDocument || null;
+      case 'required':
+        if (!change.fullDocument) {
+          throw new Error(`The change stream event ${change._id._data} has no post-image of its document`);
+        }
+        return change.fullDocument;
+      default:
+        return undefined;
+    }
+  }
+
+  // A failure closes the stream. It is handed to a waiting next(), or else
+  // emitted as 'error' when someone listens, or else thrown by the next
+  // call to next().
+  _fail(error) {
+    if (this.closed) return;
+    if (this._waiters.length > 0) {
+      for (const waiter of this._waiters.splice(0)) waiter.reject(error);
+    } else if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else {
+      this._error = error;
+    }
+    this.close();
+  }
+
+  // === Iteration ===
+  // Resolves to the next change, or to null once the stream is closed
+  async next() {
+    this._iterating = true;
+    if (this._buffer.length > 0) return this._buffer.shift();
+    if (this._error) {
+      const error = this._error;
+      this._error = null;
+      throw error;
+    }
+    if (this.closed) return null;
+    return new Promise((resolve, reject) => this._waiters.push({ resolve, reject }));
+  }
+
+  [Symbol.asyncIterator]() {
+    return {
+      next: async () => {
+        const change = await this.next();
+        return change === null ? { done: true, value: undefined } : { done: false, value: change };
+      },
+      return: async () => {
+        await this.close();
+        return { done: true, value: undefined };
+      }
+    };
+  }
+
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.connection._closeChangeStream(this);
+    for (const waiter of this._waiters.splice(0)) waiter.resolve(null);
+    this.emit('close');
+  }
+}
+
+// === Change Events ===
+// The event describing one change `{ op, doc, replace? }` of a write to
+// collection `coll` (see Connection#_mutateCollection). `before` maps the
+// ids of the documents as they were before the write to their contents.
+// Updates list the top-level fields they set and removed, and keep the
+// updated document for streams that ask for it; changes that replaced a
+// document whole (replaceOne) are 'replace' events carrying it.
+function changeEvent(db, coll, change, before) {
+  const id = change.doc._id;
+  const previous = before.get(String(id));
+  const event = {
+    _id: { _data: new ObjectId().toHexString() },
+    operationType: change.op === 'update' && !previous ? 'insert' : change.op,
+    wallTime: new Date(),
+    ns: { db, coll },
+    documentKey: { _id: id }
+  };
+  if (event.operationType === 'update' && change.replace) {
+    event.operationType = 'replace';
+  }
+
+  if (event.operationType === 'update') {
+    event.updateDescription = describeUpdate(previous, change.doc);
+  }
+  if (event.operationType !== 'delete') {
+    event.fullDocument = cloneDeep(change.doc);
+  }
+  return event;
+}
+
+// Events of changes to a collection or database as a whole: 'drop',
+// 'rename' (with `to`) and 'dropDatabase'
+function collectionEvent(operationType, db, coll, fields = {}) {
+  return {
+    _id: { _data: new ObjectId().toHexString() },
+    operationType,
+    wallTime: new Date(),
+    ns: coll === undefined ? { db } : { db, coll },
+    ...fields
+  };
+}
+
+function describeUpdate(previous, doc) {
+  const updatedFields = {};
+  const removedFields = [];
+  for (const [key, value] of Object.entries(doc)) {
+    if (!isEqual(previous[key], value)) updatedFields[key] = cloneDeep(value);
+  }
+  for (const key of Object.keys(previous)) {
+    if (!(key in doc)) removedFields.push(key);
+  }
+  return { updatedFields, removedFields, truncatedArrays: [] };
+}
+
+// === Pipelines ===
+const FULL_DOCUMENT_OPTIONS = ['default', 'updateLookup', 'whenAvailable', 'required'];
+
+function assertFullDocument(value) {
+  if (!FULL_DOCUMENT_OPTIONS.includes(value)) {
+    throw new Error(`Unknown fullDocument '${value}', expected one of: ${FULL_DOCUMENT_OPTIONS.join(', ')}`);
+  }
+}
+
+function assertPipeline(pipeline) {
+  if (!Array.isArray(pipeline)) {
+    throw new Error('A change stream pipeline must be an array of stages');
+  }
+  for (const stage of pipeline) {
+    const [name] = Object.keys(stage || {});
+    if (name !== '$match' || Object.keys(stage).length !== 1) {
+      throw new Error(`Unsupported change stream stage '${name}', only $match is supported`);
+    }
+  }
+}
+
+// Matches an event against a $match filter. Keys are paths into the event
+// ('fullDocument.status'); a path holding an array matches when any
+// element does.
+function matchesFilter(value, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(nested => matchesFilter(value, nested));
+    if (key === '$or') return condition.some(nested => matchesFilter(value, nested));
+    if (key === '$nor') return !condition.some(nested => matchesFilter(value, nested));
+
+    const actual = get(value, key);
+    if (!isOperatorObject(condition)) {
+      return matchesOperator(actual, '$eq', condition);
+    }
+    return Object.entries(condition)
+      .filter(([operator]) => operator !== '$options')
+      .every(([operator, operand]) => matchesOperator(actual, operator, operand, condition.$options));
+  });
+}
+
+function isOperatorObject(value) {
+  return isPlainObject(value) && Object.keys(value).length > 0 &&
+    Object.keys(value).every(key => key.startsWith('$'));
+}
+
+function matchesOperator(actual, operator, operand, regexOptions) {
+  const candidates = Array.isArray(actual) ? [actual, ...actual] : [actual];
+  switch (operator) {
+    case '$eq': return candidates.some(candidate => valuesMatch(candidate, operand));
+    case '$ne': return !candidates.some(candidate => valuesMatch(candidate, operand));
+    case '$in': return operand.some(item => candidates.some(candidate => valuesMatch(candidate, item)));
+    case '$nin': return !operand.some(item => candidates.some(candidate => valuesMatch(candidate, item)));
+    case '$gt': return candidates.some(candidate => candidate != null && candidate > operand);
+    case '$gte': return candidates.some(candidate => candidate != null && candidate >= operand);
+    case '$lt': return candidates.some(candidate => candidate != null && candidate < operand);
+    case '$lte': return candidates.some(candidate => candidate != null && candidate <= operand);
+    case '$exists': return (actual !== undefined) === Boolean(operand);
+    case '$regex': return valuesMatch(actual, new RegExp(operand, regexOptions));
+    case '$not': return !matchesFilter({ value: actual }, { value: operand });
+    default:
+      throw new Error(`Unsupported operator '${operator}' in a change stream $match`);
+  }
+}
+
+function valuesMatch(value, expected) {
+  if (expected instanceof RegExp) {
+    return typeof value === 'string' && expected.test(value);
+  }
+  if (value instanceof ObjectId || expected instanceof ObjectId) {
+    return value != null && expected != null && value.toString() === expected.toString();
+  }
+  return isEqual(value, expected);
+}
+
+module.exports = { ChangeStream, changeEvent, collectionEvent };
@@ -0,0 +1,153 @@
+const { ObjectId } = require('bson');
+const { cloneDeep } = require('lodash');
+const { enqueueWrite } = require('./utils.js');
+const { toJournalRecords } = require('./journal.js');
+
+class ClientSession {
+  // === Core Functionality ===
+  // A session groups operations of one connection. Inside a transaction,
+  // writes only change the session's own copy of each collection they
+  // touch, and reads of those collections see that copy. Nothing is stored
+  // until commitTransaction(), which writes every collection at once (see
+  // Connection#_commitTransaction).
+  // Operations join a session when they run inside withTransaction(), or
+  // when it is passed explicitly: `{ session }` in the options of a model
+  // method, Query#session() or Document#$session().
+  constructor(connection, options = {}) {
+    this.connection = connection;
+    this.id = new ObjectId().toString();
+    this.options = { ...options };
+    this.hasEnded = false;
+    // { state: 'active' | 'committing' | 'committed' | 'aborted',
+    //   collections: Map<name, { docs, records, snapshot, touched }> }
+    this._transaction = null;
+  }
+
+  inTransaction() {
+    return Boolean(this._transaction) && this._transaction.state === 'active';
+  }
+
+  get transactionState() {
+    return this._transaction ? this._transaction.state : 'none';
+  }
+
+  // === Transactions ===
+  startTransaction(options = {}) {
+    this._assertNotEnded();
+    if (this.inTransaction() || this.transactionState === 'committing') {
+      throw new Error('Transaction already in progress');
+    }
+    this._transaction = { state: 'active', options: { ...options }, collections: new Map() };
+    return this;
+  }
+
+  // Writes the transaction's changes to every collection it touched, all
+  // or nothing. It fails with a WriteConflictError if another write changed
+  // one of the documents since the transaction first wrote its collection.
+  // If the commit fails after its commit log was written, the
+  // changes are completed from the log when the database is next opened.
+  async commitTransaction() {
+    this._assertInTransaction('commit');
+    const transaction = this._transaction;
+    transaction.state = 'committing';
+    try {
+      await this.connection._commitTransaction(this.id, transaction.collections);
+    } catch (error) {
+      transaction.state = 'aborted';
+      transaction.collections.clear();
+      throw error;
+    }
+    transaction.state = 'committed';
+    transaction.collections.clear();
+  }
+
+  async abortTransaction() {
+    this._assertInTransaction('abort');
+    this._transaction.state = 'aborted';
+    this._transaction.collections.clear();
+  }
+
+  // Runs `fn(session)` in a transaction, which is committed when it
+  // resolves and aborted when it throws. Operations inside `fn` join the
+  // transaction without being passed the session. Resolves to what `fn`
+  // resolves to.
+  async withTransaction(fn, options = {}) {
+    this.startTransaction(options);
+    let result;
+    try {
+      result = await this.connection._runInSession(this, () => fn(this));
+    } catch (error) {
+      if (this.inTransaction()) await this.abortTransaction();
+      throw error;
+    }
+    if (this.inTransaction()) await this.commitTransaction();
+    return result;
+  }
+
+  // A transaction still in progress is aborted
+  async endSession() {
+    if (this.hasEnded) return;
+    if (this.inTransaction()) await this.abortTransaction();
+    this.hasEnded = true;
+  }
+
+  // === Transaction Buffers ===
+  // Whether the transaction has changed a collection
+  _holds(name) {
+    return this.inTransaction() && this._transaction.collections.has(name);
+  }
+
+  async _read(name) {
+    const entry = this._transaction.collections.get(name);
+    return cloneDeep(entry.docs);
+  }
+
+  // Counterpart of Connection#_mutateCollection. `fn` works on a copy, so a
+  // failing operation leaves the transaction as it was. The changes are
+  // kept as journal records (see journal.js) to be replayed onto the
+  // collection as stored at commit time; `records` is null once a change
+  // has no `_id`, and the documents are then committed as they are.
+  // `touched` holds the ids of the documents changed, which the commit
+  // checks for writes made outside the transaction meanwhile.
+  async _mutate(name, fn) {
+    const transaction = this._transaction;
+    return enqueueWrite(`${this.connection.storage.id}/session:${this.id}/${name}`, async () => {
+      const entry = transaction.collections.get(name);
+      const docs = entry ? cloneDeep(entry.docs) : await this.connection._loadCollection(name);
+      // The documents as committed when the transaction first wrote the
+      // collection, compared with the stored ones at commit
+      const snapshot = entry ? entry.snapshot : new Map(docs.map(doc => [String(doc._id), cloneDeep(doc)]));
+      const changes = [];
+      const result = await fn(docs, changes);
+      if (changes.length === 0) return result;
+
+      if (transaction.state !== 'active') {
+        throw new Error('Transaction ended before the operation completed');
+      }
+      const records = toJournalRecords(changes);
+      const previous = entry ? entry.records : [];
+      transaction.collections.set(name, {
+        docs,
+        records: records && previous ? [...previous, ...cloneDeep(records)] : null,
+        snapshot,
+        touched: new Set([...(entry ? entry.touched : []), ...changes.map(change => String(change.doc._id))])
+      });
+      return result;
+    });
+  }
+
+  _assertNotEnded() {
+    if (this.hasEnded) {
+      throw new Error('Cannot use a session that has ended');
+    }
+  }
+
+  _assertInTransaction(action) {
+    this._assertNotEnded();
+    if (!this.inTransaction()) {
+      throw new Error(`No transaction in progress to ${action}`);
+    }
+  }
+}
+
+module.exports = { ClientSession };
@@ -0,0 +1,120 @@
+class CollectionCache {
+  // === Core Functionality ===
+  // Keeps parsed collections in memory, least recently used first. Entries
+  // are tagged with a signature of the underlying files (mtime, size, inode)
+  // and dropped as soon as the files no longer match it. Each entry counts
+  // against `maxSize` with an estimate of its decoded size (see sizeOf), so
+  // compressed or encrypted files do not stretch the budget.
+  constructor(options = {}) {
+    this.maxSize = options.maxSize || 64 * 1024 * 1024;
+    this.size = 0;
+    this._entries = new Map();
+    this._stats = {
+      hits: 0,
+      misses: 0,
+      evictions: 0,
+      invalidations: 0
+    };
+  }
+
+  get(name, signature) {
+    const entry = this._entries.get(name);
+    if (!entry) {
+      this._stats.misses++;
+      return undefined;
+    }
+
+    if (entry.signature !== signature) {
+      this._stats.invalidations++;
+      this._stats.misses++;
+      this.delete(name);
+      return undefined;
+    }
+
+    // Re-insert to mark as most recently used
+    this._entries.delete(name);
+    this._entries.set(name, entry);
+    this._stats.hits++;
+    return entry.value;
+  }
+
+  set(name, value, signature) {
+    this.delete(name);
+    const size = sizeOf(value);
+    if (size > this.maxSize) return false;
+
+    this._entries.set(name, { value, signature, size });
+    this.size += size;
+    this._evict();
+    return true;
+  }
+
+  has(name) {
+    return this._entries.has(name);
+  }
+
+  delete(name) {
+    const entry = this._entries.get(name);
+    if (!entry) return false;
+    this._entries.delete(name);
+    this.size -= entry.size;
+    return true;
+  }
+
+  clear() {
+    this._entries.clear();
+    this.size = 0;
+  }
+
+  _evict() {
+    for (const [name] of this._entries) {
+      if (this.size <= this.maxSize) break;
+      this.delete(name);
+      this._stats.evictions++;
+    }
+  }
+
+  // === Statistics ===
+  stats() {
+    const lookups = this._stats.hits + this._stats.misses;
+    return {
+      ...this._stats,
+      hitRate: lookups > 0 ? this._stats.hits / lookups : 0,
+      size: this.size,
+      maxSize: this.maxSize,
+      collections: Array.from(this._entries.keys())
+    };
+  }
+
+  resetStats() {
+    for (const key of Object.keys(this._stats)) {
+      this._stats[key] = 0;
+    }
+  }
+}
+
+// Roughly the bytes a value takes as uncompressed JSON
+function sizeOf(value) {
+  if (value == null || typeof value === 'boolean') return 4;
+  if (typeof value === 'string') return value.length + 2;
+  if (typeof value === 'number' || typeof value === 'bigint' || value instanceof Date) return 8;
+  if (Buffer.isBuffer(value) || ArrayBuffer.isView(value)) return value.byteLength;
+  if (value._bsontype) {
+    // ObjectId, Decimal128, Binary and the other BSON values
+    return value.buffer ? value.buffer.length : 16;
+  }
+  if (value instanceof Map) return sizeOf(Object.fromEntries(value));
+  if (Array.isArray(value)) {
+    let size = 2;
+    for (const item of value) size += sizeOf(item) + 1;
+    return size;
+  }
+  if (typeof value === 'object') {
+    let size = 2;
+    for (const key of Object.keys(value)) size += key.length + 3 + sizeOf(value[key]);
+    return size;
+  }
+  return 0;
+}
+
+module.exports = { CollectionCache };
@@ -0,0 +1,222 @@
+const { cloneDeep, isEqual } = require('lodash');
+const { CATALOG_COLLECTION } = require('./Catalog.js');
+const { changeEvent, collectionEvent } = require('./ChangeStream.js');
+
+class CollectionWatcher {
+  // === Core Functionality ===
+  // Notices collections changed outside the connection: by another process
+  // sharing the directory, or by hand. It remembers each collection's
+  // documents together with the signature of its files (see
+  // StorageAdapter#stat), and checks the signatures every `interval` ms,
+  // and soon after the adapter reports a change (see
+  // JSONFileAdapter#watch). A collection whose signature changed is read
+  // again and compared with the documents remembered, by `_id`. The
+  // differences are published as insert, update and delete events (see
+  // Connection#_publishChanges), and a collection that disappeared as a
+  // 'drop' event. Writes made through the connection are remembered as
+  // they happen (see Connection#_afterWrite), so they are never reported
+  // twice.
+  constructor(connection, options = {}) {
+    this.connection = connection;
+    this.interval = options.interval || 1000;
+    this.running = false;
+    // name -> { signature, docs: Map<String(_id), doc> }
+    this._known = new Map();
+    // name -> signature of the files that could not be read
+    this._failed = new Map();
+    this._timer = null;
+    this._unwatch = null;
+    this._soon = null;
+    this._checking = null;
+    this._started = null;
+  }
+
+  // Resolves once every collection has been read, so that changes made
+  // from then on are reported
+  start() {
+    if (this.running) return this._started;
+    this.running = true;
+    this._started = this.check({ silent: true });
+    this._timer = setInterval(() => this.check(), this.interval);
+    this._timer.unref();
+    if (typeof this.connection.storage.watch === 'function') {
+      try {
+        this._unwatch = this.connection.storage.watch(() => this._checkSoon());
+      } catch (error) {
+        // Checking every `interval` ms still finds the changes
+        this._unwatch = null;
+      }
+    }
+    return this._started;
+  }
+
+  async stop() {
+    if (!this.running) return;
+    this.running = false;
+    clearInterval(this._timer);
+    clearTimeout(this._soon);
+    this._timer = null;
+    this._soon = null;
+    if (this._unwatch) this._unwatch();
+    this._unwatch = null;
+    if (this._checking) await this._checking;
+    this._known.clear();
+    this._failed.clear();
+  }
+
+  // Compares every collection with what is remembered of it. Checks never
+  // overlap: a check requested during another resolves with it.
+  check(options = {}) {
+    if (!this._checking) {
+      this._checking = this._checkAll(options).finally(() => {
+        this._checking = null;
+      });
+    }
+    return this._checking;
+  }
+
+  // The adapter reports every change to its files, including the
+  // connection's own writes, so reports are gathered for a moment
+  _checkSoon() {
+    if (this._soon || !this.running) return;
+    this._soon = setTimeout(() => {
+      this._soon = null;
+      this.check();
+    }, CHECK_DELAY);
+    this._soon.unref();
+  }
+
+  // A collection that cannot be read (e.g. damaged by an edit) keeps what
+  // was remembered of it. The error is reported once, and the collection is
+  // read again once its files change.
+  async _checkAll(options) {
+    const storage = this.connection.storage;
+    let names;
+    try {
+      names = (await storage.list()).filter(name => name !== CATALOG_COLLECTION);
+    } catch (error) {
+      this._report(error);
+      return;
+    }
+    for (const name of names) {
+      if (!this.running) return;
+      let stats;
+      try {
+        stats = await storage.stat(name);
+        const known = this._known.get(name);
+        if (!stats || (known && known.signature === stats.signature)) continue;
+        if (this._failed.get(name) === stats.signature) continue;
+        await this._reload(name, options);
+        this._failed.delete(name);
+      } catch (error) {
+        if (stats) this._failed.set(name, stats.signature);
+        this._report(error);
+      }
+    }
+    for (const name of Array.from(this._known.keys())) {
+      if (!this.running) return;
+      if (names.includes(name)) continue;
+      try {
+        await this._vanished(name, options);
+      } catch (error) {
+        this._report(error);
+      }
+    }
+  }
+
+  // Runs in the collection lock, so that a write of the connection is
+  // either remembered already or not started
+  async _reload(name, options) {
+    const connection = this.connection;
+    return connection._withCollectionLock(name, async () => {
+      const stats = await connection.storage.stat(name);
+      const known = this._known.get(name);
+      if (!stats || (known && known.signature === stats.signature)) return;
+
+      const docs = await connection.storage.load(name);
+      const before = known ? known.docs : new Map();
+      // Brings the cache and the catalog up to date, and remembers `docs`
+      await connection._afterWrite(name, docs);
+      if (!options.silent && connection._recordingChanges) {
+        const changes = diffDocuments(before, docs);
+        await connection._publishChanges(changes.map(change => changeEvent(connection.name, name, change, before)));
+      }
+    });
+  }
+
+  async _vanished(name, options) {
+    const connection = this.connection;
+    return connection._withCollectionLock(name, async () => {
+      if (!this._known.has(name) || await connection.storage.stat(name)) return;
+      this.forget(name);
+      if (connection.cache) connection.cache.delete(name);
+      if (!options.silent && connection._recordingChanges) {
+        await connection._publishChanges([collectionEvent('drop', connection.name, name)]);
+      }
+    });
+  }
+
+  _report(error) {
+    this.connection._emitError(error);
+  }
+
+  // === Connection Writes ===
+  // Called with the documents the connection has just stored and the
+  // signature of the files now holding them
+  remember(name, docs, signature) {
+    if (!this.running || name === CATALOG_COLLECTION) return;
+    if (!signature) {
+      this._known.delete(name);
+      return;
+    }
+    this._known.set(name, {
+      signature,
+      docs: new Map(docs.map(doc => [String(doc._id), cloneDeep(doc)]))
+    });
+  }
+
+  forget(name) {
+    if (name === undefined) {
+      this._known.clear();
+    } else {
+      this._known.delete(name);
+    }
+  }
+
+  // The renamed collection is read again on the next check, but only
+  // changes made to it since are reported
+  rename(from, to) {
+    const known = this._known.get(from);
+    this._known.delete(from);
+    if (known) {
+      this._known.set(to, { signature: null, docs: known.docs });
+    } else {
+      this._known.delete(to);
+    }
+  }
+}
+
+// ms to wait after the adapter reported a change before checking
+const CHECK_DELAY = 50;
+
+// Change list turning the documents in `before` into `docs`
+function diffDocuments(before, docs) {
+  const changes = [];
+  const seen = new Set();
+  for (const doc of docs) {
+    const key = String(doc._id);
+    seen.add(key);
+    const previous = before.get(key);
+    if (!previous) {
+      changes.push({ op: 'insert', doc });
+    } else if (!isEqual(previous, doc)) {
+      changes.push({ op: 'update', doc });
+    }
+  }
+  for (const [key, previous] of before) {
+    if (!seen.has(key)) changes.push({ op: 'delete', doc: previous });
+  }
+  return changes;
+}
+
+module.exports = { CollectionWatcher };
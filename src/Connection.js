@@ -1,18 +1,106 @@
-const fs = require('fs-extra');
 const path = require('path');
 const { Model } = require('./Model.js');
+const { JSONFileAdapter } = require('./JSONFileAdapter.js');
+const { MemoryAdapter } = require('./MemoryAdapter.js');
+const { enqueueWrite } = require('./utils.js');
+const { toJournalRecords, replayJournal } = require('./journal.js');
+const { CollectionCache } = require('./CollectionCache.js');
+const { Catalog, CATALOG_COLLECTION } = require('./Catalog.js');
+const { createKey } = require('./encryption.js');
+const { ConnectionError, WriteConflictError } = require('./errors.js');
+const { ClientSession } = require('./ClientSession.js');
+const { ChangeStream, changeEvent, collectionEvent } = require('./ChangeStream.js');
+const { CollectionWatcher } = require('./CollectionWatcher.js');
 const { EventEmitter } = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+const { cloneDeep, isEqual } = require('lodash');
 
 class Connection {
   // === Core Functionality ===
-  constructor(dbPath = './db') {
+  constructor(dbPath = './db', options = {}) {
     this.dbPath = dbPath;
+    this.options = {
+      lockTimeout: 10000,       // ms to wait for another process' lock
+      staleLockTimeout: 30000,  // ms after which an untouched lock is broken
+      journal: false,           // append changes to `<name>.journal` instead of rewriting
+      journalCompactThreshold: 1024 * 1024, // journal bytes that trigger compaction
+      extendedJSON: 'relaxed',  // 'relaxed' | 'canonical' | false (legacy plain JSON)
+      storageFormat: 'json',    // 'json' | 'ndjson' (one document per line) | 'bson'
+      compression: false,       // false | 'gzip' | 'brotli'
+      encryptionKey: null,      // 32-byte Buffer or 64-char hex string (AES-256-GCM)
+      fieldEncryptionKey: null, // key for schema paths declared with `encrypt`
+      integrity: true,          // checksum collection files, verify them on load
+      segmentSize: 0,           // documents per segment file, 0 keeps each collection in one file
+      layout: 'file',           // 'file' | 'documents' (a directory with one file per document)
+      writeConcern: 'durable',  // 'durable' | 'batched' (writes stay in memory until flushed)
+      flushInterval: 1000,      // ms a batched write may wait before it is flushed
+      flushAfter: 100,          // batched writes to one collection that trigger a flush
+      changeHistory: 1000,      // change events kept for resuming change streams
+      changeLog: false,         // also keep them on disk, to resume after a restart
+      watchFiles: false,        // notice collections changed by other processes
+      watchInterval: 1000,      // ms between checks for such changes
+      cache: false,             // keep parsed collections in memory
+      cacheMaxSize: 64 * 1024 * 1024, // bytes of decoded collections the cache may hold
+      storage: null,            // custom StorageAdapter, defaults to JSON files
+      bufferCommands: true,     // operations on a closed connection wait for it to reopen
+      bufferTimeoutMS: 10000,   // ms they may wait before failing
+      ...options
+    };
+    this.storage = this.options.storage || (dbPath === Connection.MEMORY
+      ? new MemoryAdapter()
+      : new JSONFileAdapter(dbPath, this.options));
+    this._fieldEncryptionKey = this.options.fieldEncryptionKey
+      ? createKey(this.options.fieldEncryptionKey, 'fieldEncryptionKey')
+      : null;
+    this.cache = this.options.cache
+      ? new CollectionCache({ maxSize: this.options.cacheMaxSize })
+      : null;
+    this.catalog = new Catalog(this);
+    assertWriteConcern(this.options.writeConcern);
+    if (!(this.options.flushInterval > 0) || !(this.options.flushAfter > 0)) {
+      throw new Error('flushInterval and flushAfter must be positive numbers');
+    }
+    if (!Number.isInteger(this.options.changeHistory) || this.options.changeHistory < 1) {
+      throw new Error('changeHistory must be a positive number of events');
+    }
+    if (!(this.options.watchInterval > 0)) {
+      throw new Error('watchInterval must be a positive number');
+    }
+    if (!(this.options.bufferTimeoutMS > 0)) {
+      throw new Error('bufferTimeoutMS must be a positive number');
+    }
+    this._writeConcerns = new Map();
+    // Pending batched writes per collection, see _mutateBatched
+    this._batches = new Map();
+    // Session the current operation runs in, see _runInSession
+    this._sessionContext = new AsyncLocalStorage();
+    // Rolling forward commit logs left by interrupted commits, see _recover
+    this._recovery = null;
+    this._recovered = false;
+    this._recovering = new AsyncLocalStorage();
+    // Open change streams and the latest change events, see watch(). Events
+    // are only produced once someone may want them.
+    this._changeStreams = new Set();
+    this._changeHistory = [];
+    this._recordingChanges = Boolean(this.options.changeLog);
+    // Started by connect() or on first use, see CollectionWatcher
+    this._fileWatcher = this.options.watchFiles
+      ? new CollectionWatcher(this, { interval: this.options.watchInterval })
+      : null;
     this.models = {};
     this.collections = {};
     this.config = new Map();
     this.plugins = new Set();
     this.events = new EventEmitter();
     this.readyState = 0; // 0: disconnected, 1: connected, 2: connecting, 3: disconnecting
+    // Set once connect() or close() is called: operations then wait for
+    // the connection to be open, see _whenReady
+    this._managed = false;
+    this._connecting = null;
+    this._connectError = null;
+    this._closing = null;
+    // Operations waiting for the connection to reopen: { resolve, timer }
+    this._buffered = new Set();
     this.name = path.basename(dbPath);
     this.host = 'localhost';
     this.port = null;
@@ -20,53 +108,183 @@ class Connection {
     this.pass = null;
   }
 
+  // === Lifecycle ===
+  // Opens the storage, rolls forward the commits a crash interrupted and
+  // starts watching files (with `watchFiles`). Emits 'connecting', then
+  // 'connected', or 'error' when opening fails. Resolves to the connection;
+  // calling it again while connecting or connected resolves with the same
+  // attempt. Operations issued meanwhile wait for it.
   connect() {
-    try {
-      this.readyState = 2;
-      fs.mkdirSync(this.dbPath, { recursive: true });
-      this.readyState = 1;
+    if (this.readyState === 1) return Promise.resolve(this);
+    if (this.readyState === 2) return this._connecting;
+    if (this.readyState === 3) {
+      return this._closing.catch(() => {}).then(() => this.connect());
+    }
+
+    this._managed = true;
+    this._connectError = null;
+    this.readyState = 2;
+    this.events.emit('connecting');
+    this._connecting = this._open().then(() => {
+      this.events.emit('connected');
+      this._releaseBuffered();
       return this;
-    } catch (error) {
+    }, error => {
       this.readyState = 0;
-      throw new Error(`Failed to connect to database: ${error.message}`);
+      const failure = new ConnectionError(`Failed to connect to database: ${error.message}`, 'ECONNECT');
+      failure.cause = error;
+      this._connectError = failure;
+      this._emitError(failure);
+      throw failure;
+    });
+    return this._connecting;
+  }
+
+  async _open() {
+    await this.storage.open();
+    await this._recover();
+    this.readyState = 1;
+    // Changes made once connected are reported
+    if (this._fileWatcher) await this._fileWatcher.start();
+  }
+
+  // Flushes batched writes, stops watching files and closes the change
+  // streams. Emits 'disconnecting', then 'disconnected' and 'close'. If
+  // the flush fails, close() rejects with its error and the connection
+  // stays open. Operations issued once closed wait for connect() (see
+  // `bufferCommands`).
+  async close() {
+    if (this.readyState === 3) return this._closing;
+    if (this.readyState === 2) await this._connecting.catch(() => {});
+    if (this._managed && this.readyState === 0) {
+      // A failed connect() is no longer retried
+      this._connectError = null;
+      return;
     }
+
+    const previous = { readyState: this.readyState, managed: this._managed };
+    this._managed = true;
+    this.readyState = 3;
+    this.events.emit('disconnecting');
+    this._closing = this._shutDown().catch(error => {
+      this.readyState = previous.readyState;
+      this._managed = previous.managed;
+      this._emitError(error);
+      throw error;
+    });
+    return this._closing;
   }
 
-  disconnect() {
+  // Operations still run while disconnecting, so that their writes are
+  // flushed too
+  async _shutDown() {
+    await this.flush();
+    if (this._fileWatcher) await this._fileWatcher.stop();
+    for (const stream of Array.from(this._changeStreams)) {
+      await stream.close();
+    }
     this.models = {};
     this.collections = {};
     this.readyState = 0;
+    this.events.emit('disconnected');
+    this.events.emit('close');
   }
 
-  close() {
-    this.readyState = 3;
-    this.disconnect();
-    this.readyState = 0;
+  async disconnect() {
+    return this.close();
+  }
+
+  // Resolves once the connection is open, opening it if needed
+  asPromise() {
+    return this.connect();
+  }
+
+  // 'error' is only emitted when someone listens, as failures also reject
+  // the operation that ran into them
+  _emitError(error) {
+    if (this.events.listenerCount('error') > 0) {
+      this.events.emit('error', error);
+    }
+  }
+
+  // Operations wait until the connection is open and the commits a crash
+  // interrupted are rolled forward. After a failed connect() they try to
+  // connect again. On a closed connection they wait for it to be opened
+  // again (at most `bufferTimeoutMS`), or fail at once without
+  // `bufferCommands`. A connection that was never connected nor closed
+  // runs them right away. Returns null when nothing needs to wait, so that
+  // writes are queued in the order they were issued (see _enqueue).
+  _whenReady() {
+    if (this._recovering.getStore()) return null;
+    if (this._managed && this.readyState === 2) {
+      return this._connecting.then(() => this._whenReady());
+    }
+    if (this._managed && this.readyState === 0) {
+      return this._connectError
+        ? this.connect().then(() => this._whenReady())
+        : this._buffer();
+    }
+    return this._recover();
+  }
+
+  _buffer() {
+    if (!this.options.bufferCommands) {
+      return Promise.reject(new ConnectionError('Cannot run an operation on a closed connection', 'ECLOSED'));
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, timer: null };
+      waiter.timer = setTimeout(() => {
+        this._buffered.delete(waiter);
+        reject(new ConnectionError(
+          `Operation timed out after ${this.options.bufferTimeoutMS}ms waiting for the connection to open`,
+          'EBUFFERTIMEOUT'
+        ));
+      }, this.options.bufferTimeoutMS);
+      this._buffered.add(waiter);
+    });
+  }
+
+  _releaseBuffered() {
+    for (const waiter of this._buffered) {
+      clearTimeout(waiter.timer);
+      waiter.resolve(this._whenReady());
+    }
+    this._buffered.clear();
   }
 
-  dropDatabase() {
+  async dropDatabase() {
     try {
-      fs.rmSync(this.dbPath, { recursive: true, force: true });
+      this._discardBatch();
+      await this.storage.dropDatabase();
       this.collections = {};
+      this.catalog.reset();
+      if (this.cache) this.cache.clear();
+      if (this._fileWatcher) this._fileWatcher.forget();
+      if (this._recordingChanges) {
+        await this._publishChanges([collectionEvent('dropDatabase', this.name)]);
+      }
       return true;
     } catch (error) {
       return false;
     }
   }
 
-  removeDb() {
-    this.dropDatabase();
+  async removeDb() {
+    return this.dropDatabase();
   }
 
-  destroy() {
-    this.dropDatabase();
-    this.close();
+  async destroy() {
+    await this.dropDatabase();
+    await this.close();
   }
 
   useDb(name) {
-    const newDbPath = path.join(path.dirname(this.dbPath), name);
-    const newConnection = new Connection(newDbPath);
-    newConnection.connect();
+    const newDbPath = this.dbPath === Connection.MEMORY
+      ? Connection.MEMORY
+      : path.join(path.dirname(this.dbPath), name);
+    const newConnection = new Connection(newDbPath, { ...this.options, storage: null });
+    // Operations on it report a failure to open (see Connection#connect)
+    newConnection.connect().catch(() => {});
     return newConnection;
   }
 
@@ -74,36 +292,755 @@ class Connection {
     if (!this.collections[name]) {
       this.collections[name] = {
         name,
-        collectionPath: path.join(this.dbPath, `${name}.json`)
+        collectionPath: this._collectionPath(name)
       };
     }
     return this.collections[name];
   }
 
-  dropCollection(name) {
-    const collectionPath = path.join(this.dbPath, `${name}.json`);
+  // Only meaningful for file-based adapters
+  _collectionPath(name) {
+    return typeof this.storage.collectionPath === 'function'
+      ? this.storage.collectionPath(name)
+      : null;
+  }
+
+  // Storage format of one collection (schema option `storageFormat`), for
+  // adapters that support several
+  _setStorageFormat(name, format) {
+    if (typeof this.storage.setFormat === 'function') {
+      this.storage.setFormat(name, format);
+    }
+  }
+
+  // Layout of one collection (schema option `layout`), for adapters that
+  // support several
+  _setLayout(name, layout) {
+    if (typeof this.storage.setLayout === 'function') {
+      this.storage.setLayout(name, layout);
+    }
+  }
+
+  // Write concern of one collection (schema option `writeConcern`)
+  _setWriteConcern(name, concern) {
+    assertWriteConcern(concern);
+    this._writeConcerns.set(name, concern);
+  }
+
+  _writeConcernFor(name) {
+    return this._writeConcerns.get(name) || this.options.writeConcern;
+  }
+
+  // === Collection Storage ===
+  // Reads see the uncommitted writes of the transaction they run in, and
+  // batched writes that are not flushed yet
+  async _loadCollection(name) {
+    await this._whenReady();
+    const session = this._transactionFor(name);
+    if (session && session._holds(name)) {
+      return session._read(name);
+    }
+    return this._loadCommitted(name);
+  }
+
+  async _loadCommitted(name) {
+    const batch = this._batches.get(name);
+    if (batch) {
+      return batch.docs
+        ? cloneDeep(batch.docs)
+        : replayJournal(await this._loadStored(name), cloneDeep(batch.records));
+    }
+    return this._loadStored(name);
+  }
+
+  async _loadStored(name) {
+    let stats;
+    if (this.cache) {
+      stats = await this.storage.stat(name);
+      const cached = stats && this.cache.get(name, stats.signature);
+      if (cached) {
+        return cloneDeep(cached);
+      }
+    }
+
+    const docs = await this.storage.load(name);
+    if (stats) {
+      this.cache.set(name, cloneDeep(docs), stats.signature);
+    }
+    return docs;
+  }
+
+  async _readCollection(name) {
+    return this._loadCollection(name);
+  }
+
+  // Yields the documents of a collection one at a time. Adapters that can
+  // stream (see StorageAdapter#iterate) never hold the whole collection;
+  // with a cache it is loaded whole instead, so that it can be cached.
+  // `options.conditions` lets the adapter skip what cannot match.
+  async *_iterateCollection(name, options = {}) {
+    await this._whenReady();
+    if (this.cache || this._hasPendingWrites(name) || typeof this.storage.iterate !== 'function') {
+      yield* await this._loadCollection(name);
+      return;
+    }
+    yield* this.storage.iterate(name, options);
+  }
+
+  // Brings the cache, the catalog's count of a collection (see
+  // Catalog#noteCount) and the file watcher up to date after writing `docs`
+  // to it
+  async _afterWrite(name, docs) {
+    const stats = await this.storage.stat(name);
+    if (this._fileWatcher) {
+      this._fileWatcher.remember(name, docs, stats && stats.signature);
+    }
+    if (this.cache) {
+      if (stats) {
+        this.cache.set(name, cloneDeep(docs), stats.signature);
+      } else {
+        this.cache.delete(name);
+      }
+    }
+    this.catalog.noteCount(name, docs.length, stats);
+  }
+
+  cacheStats() {
+    return this.cache ? this.cache.stats() : null;
+  }
+
+  // Writes to one collection are queued in-process and locked by the
+  // adapter (across processes for file storage).
+  _withCollectionLock(name, fn) {
+    return this._enqueue(name, () => this.storage.lock(name, fn));
+  }
+
+  // Nothing is locked before the connection is ready, see _whenReady
+  _enqueue(name, fn) {
+    const ready = this._whenReady();
+    if (ready) {
+      return ready.then(() => this._enqueue(name, fn));
+    }
+    return enqueueWrite(`${this.storage.id}/${name}`, fn);
+  }
+
+  // Locks several collections, always in the same order so that two
+  // callers locking overlapping sets cannot wait on each other
+  _withCollectionLocks(names, fn) {
+    const [name, ...rest] = Array.from(new Set(names)).sort();
+    if (name === undefined) return fn();
+    return this._withCollectionLock(name, () => this._withCollectionLocks(rest, fn));
+  }
+
+  // Runs a read-modify-write of a collection, so concurrent operations
+  // never overwrite each other.
+  // `fn` receives the documents and a change list; the collection is only
+  // written back if the function recorded at least one change.
+  async _mutateCollection(name, fn) {
+    const session = this._transactionFor(name);
+    if (session) {
+      return session._mutate(name, fn);
+    }
+    if (this._writeConcernFor(name) === 'batched') {
+      return this._mutateBatched(name, fn);
+    }
+    return this._withCollectionLock(name, async () => {
+      const docs = await this._loadCollection(name);
+      const recorder = this._changeRecorder(name, docs);
+      const changes = [];
+      const result = await fn(docs, changes);
+      if (changes.length > 0) {
+        await this.storage.persist(name, docs, changes);
+        await this._afterWrite(name, docs);
+        if (recorder) await this._publishChanges(recorder(changes));
+      }
+      return result;
+    });
+  }
+
+  // Replaces every document of a collection (creating it if needed)
+  async _replaceCollection(name, docs) {
+    return this._withCollectionLock(name, async () => {
+      // Batched writes would be replaced anyway
+      this._discardBatch(name);
+      const previous = await this._loadCollection(name);
+      const recorder = this._changeRecorder(name, previous);
+      const changes = replacementChanges(previous, docs);
+      await this.storage.persist(name, docs, changes);
+      await this._afterWrite(name, docs);
+      if (recorder) await this._publishChanges(recorder(changes));
+    });
+  }
+
+  // === Write Batching ===
+  // Under the 'batched' write concern a write changes an in-memory copy of
+  // the collection and resolves at once. Its changes are kept as journal
+  // records (see journal.js) until the next flush: `flushInterval` ms after
+  // the first of them, after `flushAfter` writes, on flush() or close(), or
+  // when the process is about to exit. A flush replays them onto the
+  // collection as stored by then, so documents written meanwhile by other
+  // processes are kept.
+  async _mutateBatched(name, fn) {
+    return this._enqueue(name, async () => {
+      const batch = await this._batchFor(name);
+      const recorder = this._changeRecorder(name, batch.docs);
+      const changes = [];
+      let result;
+      try {
+        result = await fn(batch.docs, changes);
+      } catch (error) {
+        // `fn` may have changed documents before failing; they are read
+        // again and the recorded changes replayed on the next access
+        batch.docs = null;
+        if (batch.records.length === 0) this._batches.delete(name);
+        throw error;
+      }
+
+      if (changes.length > 0) {
+        // Published once readable, not once flushed
+        if (recorder) await this._publishChanges(recorder(changes));
+        const records = toJournalRecords(changes);
+        if (!records) {
+          // Changes without ids cannot be replayed, so the collection is
+          // written as it is now
+          await this.storage.lock(name, () => this._flushBatch(name, { docs: batch.docs }));
+          return result;
+        }
+        batch.records.push(...cloneDeep(records));
+        batch.writes++;
+        this._scheduleFlush(name, batch);
+      } else if (batch.records.length === 0) {
+        this._batches.delete(name);
+      }
+      return result;
+    });
+  }
+
+  async _batchFor(name) {
+    let batch = this._batches.get(name);
+    if (!batch) {
+      batch = { docs: null, records: [], writes: 0, timer: null };
+      this._batches.set(name, batch);
+      trackBatches(this);
+    }
+    if (!batch.docs) {
+      batch.docs = replayJournal(await this._loadStored(name), cloneDeep(batch.records));
+    }
+    return batch;
+  }
+
+  _scheduleFlush(name, batch) {
+    if (batch.writes >= this.options.flushAfter) {
+      this._flushInBackground(name);
+    } else if (!batch.timer) {
+      this._startFlushTimer(name, batch);
+    }
+  }
+
+  _startFlushTimer(name, batch) {
+    batch.timer = setTimeout(() => this._flushInBackground(name), this.options.flushInterval);
+    // Pending writes never keep the process alive; they are flushed
+    // before it exits
+    batch.timer.unref();
+  }
+
+  // A failed background flush keeps its changes and is retried after
+  // `flushInterval`; flush() reports the error
+  _flushInBackground(name) {
+    this.flush(name).catch(() => {
+      const batch = this._batches.get(name);
+      if (batch && !batch.timer) this._startFlushTimer(name, batch);
+    });
+  }
+
+  // Writes the batched changes of one collection (or of every collection
+  // when no name is given, along with the catalog's counts) to storage.
+  // Resolves to the number of collections written.
+  async flush(name) {
+    let flushed = 0;
+    const names = name === undefined ? Array.from(this._batches.keys()) : [name];
+    for (const collectionName of names) {
+      if (await this._withCollectionLock(collectionName, () => this._flushBatch(collectionName))) {
+        flushed++;
+      }
+    }
+    if (name === undefined) {
+      // Saving the counts writes the catalog, which may be batched itself
+      await this.catalog.saveCounts();
+      if (this._batches.has(CATALOG_COLLECTION) &&
+          await this._withCollectionLock(CATALOG_COLLECTION, () => this._flushBatch(CATALOG_COLLECTION))) {
+        flushed++;
+      }
+    }
+    return flushed;
+  }
+
+  // Runs inside the collection lock. `options.docs` writes those documents
+  // as they are instead of replaying the batch onto the stored collection.
+  async _flushBatch(name, options = {}) {
+    const batch = this._batches.get(name);
+    if (!batch) return false;
+    this._discardBatch(name);
+
     try {
-      fs.unlinkSync(collectionPath);
-      delete this.collections[name];
-      return true;
+      let docs = options.docs;
+      let changes = [];
+      if (!docs) {
+        docs = replayJournal(await this._loadStored(name), cloneDeep(batch.records));
+        changes = toChanges(batch.records);
+      }
+      await this.storage.persist(name, docs, changes);
+      await this._afterWrite(name, docs);
     } catch (error) {
-      if (error.code === 'ENOENT') return false;
+      if (!this._batches.has(name)) {
+        this._batches.set(name, { ...batch, timer: null });
+        trackBatches(this);
+      }
       throw error;
     }
+    return true;
+  }
+
+  // Batched writes, or writes of the transaction the caller runs in
+  _hasPendingWrites(name) {
+    const session = this._transactionFor(name);
+    return this._batches.has(name) || Boolean(session && session._holds(name));
   }
 
-  listCollections() {
+  // Drops the batched writes of one collection (of all without a name)
+  _discardBatch(name) {
+    const names = name === undefined ? Array.from(this._batches.keys()) : [name];
+    for (const collectionName of names) {
+      const batch = this._batches.get(collectionName);
+      if (batch) clearTimeout(batch.timer);
+      this._batches.delete(collectionName);
+    }
+  }
+
+  // === Transactions ===
+  // The session the caller runs in, if any
+  _activeSession() {
+    return this._sessionContext.getStore() || null;
+  }
+
+  // The session the caller runs in, if it has a transaction in progress
+  // that `name` can take part in. The catalog never does: indexes and
+  // counts are recorded at once.
+  _transactionFor(name) {
+    const session = this._activeSession();
+    if (!session || !session.inTransaction() || name === CATALOG_COLLECTION) return null;
+    return session;
+  }
+
+  // Runs `fn` with every operation it makes joining `session`
+  _runInSession(session, fn) {
+    if (session.connection !== this) {
+      throw new Error('The session belongs to another connection');
+    }
+    session._assertNotEnded();
+    if (this._activeSession() === session) return fn();
+    return this._sessionContext.run(session, fn);
+  }
+
+  // Writes the changes a transaction made to each collection
+  // (`collections` maps names to { docs, records, snapshot, touched }, see
+  // ClientSession), holding the locks of all of them. Documents changed
+  // outside the transaction since it read them abort it with a
+  // WriteConflictError before anything is written. The changes are first
+  // written to a commit log, for adapters that keep one (see
+  // JSONFileAdapter): a commit
+  // interrupted before the log is complete leaves no trace, and one
+  // interrupted after it is rolled forward from the log (see _recover).
+  async _commitTransaction(id, collections) {
+    if (collections.size === 0) return;
+    const log = {
+      id,
+      collections: Array.from(collections, ([name, { docs, records }]) => records ? { name, records } : { name, docs })
+    };
+    const logged = typeof this.storage.writeCommitLog === 'function';
+
+    await this._withCollectionLocks(Array.from(collections.keys()), async () => {
+      // Batched writes go first, so the transaction applies on top of them
+      for (const name of collections.keys()) {
+        await this._flushBatch(name);
+      }
+      for (const [name, entry] of collections) {
+        const ids = conflictingIds(entry, await this._loadStored(name));
+        if (ids.length > 0) throw new WriteConflictError(name, ids);
+      }
+      if (logged) await this.storage.writeCommitLog(id, log);
+      await this._applyCommitLog(log);
+      if (logged) await this.storage.removeCommitLog(id);
+    });
+  }
+
+  // Runs inside the locks of every collection of the log. Replaying its
+  // records again is harmless, see journal.js.
+  async _applyCommitLog(log) {
+    for (const { name, records, docs: replacement } of log.collections) {
+      const stored = await this._loadStored(name);
+      const recorder = this._changeRecorder(name, stored);
+      const docs = replacement || replayJournal(stored, cloneDeep(records));
+      await this.storage.persist(name, docs, replacement ? [] : toChanges(records));
+      await this._afterWrite(name, docs);
+      if (recorder) {
+        await this._publishChanges(recorder(replacement ? replacementChanges(stored, docs) : toChanges(records)));
+      }
+    }
+  }
+
+  // Rolls forward the commit logs left by interrupted commits before
+  // anything else reads or locks a collection. A connection that was never
+  // connected opens its storage and starts watching files here, on first
+  // use, as connect() would. Returns the promise to wait for, or null once
+  // there is none (and inside the recovery itself).
+  _recover() {
+    if (this._recovered || this._recovering.getStore()) return null;
+    if (!this._recovery) {
+      const unmanaged = !this._managed;
+      this._recovery = this._recovering.run(true, async () => {
+        if (unmanaged) await this.storage.open();
+        await this._recoverTransactions();
+      }).then(
+        () => {
+          this._recovered = true;
+          if (unmanaged && this._fileWatcher) return this._fileWatcher.start();
+        },
+        // Tried again by the next operation
+        error => { this._recovery = null; throw error; }
+      );
+    }
+    return this._recovery;
+  }
+
+  async _recoverTransactions() {
+    if (typeof this.storage.listCommitLogs !== 'function') return 0;
+    let recovered = 0;
+    for (const id of await this.storage.listCommitLogs()) {
+      const log = await this.storage.readCommitLog(id);
+      if (!log) continue;
+      await this._withCollectionLocks(log.collections.map(collection => collection.name), async () => {
+        // Another process may have been committing it until now
+        if (!(await this.storage.readCommitLog(id))) return;
+        await this._applyCommitLog(log);
+        await this.storage.removeCommitLog(id);
+        recovered++;
+      });
+    }
+    return recovered;
+  }
+
+  // === Change Streams ===
+  // Opens a change stream on every collection, see ChangeStream
+  watch(pipeline = [], options = {}) {
+    return new ChangeStream(this, pipeline, options);
+  }
+
+  _openChangeStream(stream) {
+    this._changeStreams.add(stream);
+    // From now on, so that streams opened later can resume from any
+    // event of this one
+    this._recordingChanges = true;
+  }
+
+  _closeChangeStream(stream) {
+    this._changeStreams.delete(stream);
+  }
+
+  // Copies the documents a write is about to change and returns a function
+  // that turns its change list into change events, or null while no one
+  // may want them. The catalog has no events.
+  _changeRecorder(name, docs) {
+    if (!this._recordingChanges || name === CATALOG_COLLECTION) return null;
+    const before = new Map(docs.map(doc => [String(doc._id), cloneDeep(doc)]));
+    return changes => changes.map(change => changeEvent(this.name, name, change, before));
+  }
+
+  // Adds events to the change history (and the change log, with the
+  // `changeLog` option) and hands them to the open change streams. A change
+  // log that cannot be written fails the open streams, not the write,
+  // which is already stored.
+  async _publishChanges(events) {
+    if (events.length === 0) return;
+    this._changeHistory.push(...events);
+    if (this._changeHistory.length > this.options.changeHistory) {
+      this._changeHistory.splice(0, this._changeHistory.length - this.options.changeHistory);
+    }
+    for (const stream of this._changeStreams) {
+      for (const event of events) stream._push(event);
+    }
+
+    if (this.options.changeLog && typeof this.storage.appendChangeLog === 'function') {
+      try {
+        await this.storage.appendChangeLog(events, { keep: this.options.changeHistory });
+      } catch (error) {
+        for (const stream of this._changeStreams) stream._fail(error);
+      }
+    }
+  }
+
+  // The events after the one whose `_id` is `token`, read from the change
+  // log with the `changeLog` option
+  async _changesSince(token) {
+    const logged = this.options.changeLog && typeof this.storage.readChangeLog === 'function';
+    const history = logged ? await this.storage.readChangeLog() : this._changeHistory;
+    const index = token && token._data ? history.findIndex(event => event._id._data === token._data) : -1;
+    if (index === -1) {
+      throw new Error('Cannot resume the change stream: its resume token is not in the change history');
+    }
+    return history.slice(index + 1);
+  }
+
+  // A document as currently stored, for change streams with fullDocument:
+  // 'updateLookup'. Never read from a transaction's uncommitted writes.
+  async _lookupDocument(name, id) {
+    return this._sessionContext.run(null, async () => {
+      for await (const doc of this._iterateCollection(name, { conditions: { _id: id } })) {
+        if (String(doc._id) === String(id)) return doc;
+      }
+      return null;
+    });
+  }
+
+  // Creates a collection unless it exists and records it in the catalog,
+  // with the entry fields in `info` (options, schemaVersion, type...)
+  async _createCollection(name, info = {}) {
+    return this._withCollectionLock(name, async () => {
+      await this.storage.create(name);
+      if (name !== CATALOG_COLLECTION) {
+        await this.catalog.register(name, info);
+      }
+    });
+  }
+
+  // Compacts one collection (or every collection when no name is given),
+  // e.g. folds a journal back into its snapshot.
+  async compact(name) {
+    await this.flush(name);
+    if (name === undefined) {
+      const names = await this.storage.list();
+      for (const collectionName of names) {
+        await this.compact(collectionName);
+      }
+      return names.length;
+    }
+
+    const result = await this._withCollectionLock(name, async () => {
+      // Compacting rewrites the files but keeps the documents
+      const count = await this.catalog.count(name);
+      const compacted = await this.storage.compact(name);
+      if (compacted) {
+        if (this.cache) this.cache.delete(name);
+        if (count !== null) this.catalog.noteCount(name, count, await this.storage.stat(name));
+      }
+      return compacted;
+    });
+    await this.catalog.saveCounts();
+    return result;
+  }
+
+  // Rewrites collections stored in an outdated format (e.g. legacy plain
+  // JSON) in the format the connection is configured for. Date strings in
+  // legacy files only become Dates in the Date paths of the collection's
+  // model, if it has one (and in the catalog's timestamps). Without a name,
+  // the change log and pending commit logs are rewritten too, so that they
+  // follow a change of encryption key.
+  async migrate(name) {
+    if (typeof this.storage.migrate !== 'function') return 0;
+    await this.flush(name);
+    const names = name === undefined ? await this.storage.list() : [name];
+    let migrated = 0;
+    for (const collectionName of names) {
+      const model = this.models[collectionName];
+      let castDates = null;
+      if (collectionName === CATALOG_COLLECTION) {
+        castDates = entries => this.catalog.castDates(entries);
+      } else if (model) {
+        castDates = docs => docs.map(doc => model._castDatePaths(doc));
+      }
+      const rewritten = await this._withCollectionLock(collectionName, () => this.storage.migrate(collectionName, { castDates }));
+      if (rewritten) {
+        migrated++;
+        if (this.cache) this.cache.delete(collectionName);
+      }
+    }
+    if (name === undefined) {
+      await this._rewriteLogs();
+    }
+    return migrated;
+  }
+
+  async _rewriteLogs() {
+    if (typeof this.storage.rewriteChangeLog === 'function') {
+      await this.storage.rewriteChangeLog();
+    }
+    if (typeof this.storage.listCommitLogs !== 'function') return;
+    for (const id of await this.storage.listCommitLogs()) {
+      const log = await this.storage.readCommitLog(id);
+      if (!log) continue;
+      await this._withCollectionLocks(log.collections.map(collection => collection.name), async () => {
+        // Gone once the commit that wrote it has been applied
+        if (!(await this.storage.readCommitLog(id))) return;
+        await this.storage.writeCommitLog(id, log);
+      });
+    }
+  }
+
+  // Checks collections (every collection when no name is given) for
+  // damage, resolving to one report per collection:
+  //   { name, status: 'ok' | 'unverified' | 'corrupt', path, documents, code?, error? }
+  async verify(name) {
+    if (typeof this.storage.verify !== 'function') return [];
+    await this.flush(name);
+    const names = name === undefined ? await this.storage.list() : [name];
+    const reports = [];
+    for (const collectionName of names) {
+      reports.push(await this.storage.verify(collectionName));
+    }
+    return reports;
+  }
+
+  // Rebuilds a corrupt collection from whatever can still be read of it and
+  // quarantines the damaged files. Resolves to
+  //   { name, repaired, documents, skipped, quarantined }
+  async repair(name) {
+    if (typeof this.storage.repair !== 'function') {
+      throw new Error(`${this.storage.constructor.name} does not support repair`);
+    }
+    if (!name) {
+      throw new Error('repair() needs the name of a collection');
+    }
+    const report = await this._withCollectionLock(name, async () => {
+      const report = await this.storage.repair(name);
+      if (report.repaired) {
+        if (this.cache) this.cache.delete(name);
+        this.catalog.noteCount(name, report.documents, await this.storage.stat(name));
+      }
+      return report;
+    });
+    await this.catalog.saveCounts();
+    // Batched writes are replayed onto the repaired collection
+    await this.flush(name);
+    return report;
+  }
+
+  async dropCollection(name) {
+    return this._withCollectionLock(name, async () => {
+      this._discardBatch(name);
+      if (this.cache) this.cache.delete(name);
+      const dropped = await this.storage.drop(name);
+      delete this.collections[name];
+      if (this._fileWatcher) this._fileWatcher.forget(name);
+      if (name === CATALOG_COLLECTION) {
+        this.catalog.reset();
+      } else {
+        await this.catalog.remove(name);
+        if (dropped && this._recordingChanges) {
+          await this._publishChanges([collectionEvent('drop', this.name, name)]);
+        }
+      }
+      return dropped;
+    });
+  }
+
+  async renameCollection(from, to, options = {}) {
+    if (from === to) {
+      throw new Error('Cannot rename a collection to itself');
+    }
+    await this.flush(from);
+    await this.flush(to);
+    await this._withCollectionLocks([from, to], async () => {
+      await this.storage.rename(from, to, options);
+      if (this._fileWatcher) this._fileWatcher.rename(from, to);
+      if (this.cache) {
+        this.cache.delete(from);
+        this.cache.delete(to);
+      }
+      await this.catalog.rename(from, to);
+      if (this._recordingChanges) {
+        await this._publishChanges([collectionEvent('rename', this.name, from, { to: { db: this.name, coll: to } })]);
+      }
+    });
+    return true;
+  }
+
+  // Re-encrypts every collection with `newKey` (or decrypts them when it is
+  // null). Each file is replaced atomically, and files already written with
+  // the new key are skipped, so an interrupted rotation can simply be run
+  // again from a connection opened with the old key. If it fails, the
+  // connection goes on writing with the old key and reads files written
+  // with either.
+  async rotateKey(newKey = null) {
+    if (typeof this.storage.setEncryptionKey !== 'function') {
+      throw new Error(`${this.storage.constructor.name} does not support encryption`);
+    }
+    if (newKey) createKey(newKey);
+
+    const oldKey = this.options.encryptionKey || null;
+    this.storage.setEncryptionKey(newKey, [oldKey]);
     try {
-      const files = fs.readdirSync(this.dbPath);
-      return files
-        .filter(file => file.endsWith('.json'))
-        .map(file => ({
-          name: path.basename(file, '.json'),
-          type: 'collection'
-        }));
+      const rewritten = await this.migrate();
+      this.storage.setEncryptionKey(newKey);
+      this.options.encryptionKey = newKey;
+      return rewritten;
     } catch (error) {
-      return [];
+      this.storage.setEncryptionKey(oldKey, [newKey]);
+      throw error;
+    } finally {
+      if (this.cache) this.cache.clear();
+    }
+  }
+
+  // Options for files written outside the storage adapter (backup exports)
+  _fileOptions() {
+    const encryptionKey = this.options.encryptionKey ? createKey(this.options.encryptionKey) : null;
+    return {
+      extendedJSON: this.options.extendedJSON,
+      encryptionKey,
+      decryptionKeys: encryptionKey ? [encryptionKey] : []
+    };
+  }
+
+  // Captures the whole database, for adapters that support it (memory)
+  snapshot() {
+    if (typeof this.storage.snapshot !== 'function') {
+      throw new Error(`${this.storage.constructor.name} does not support snapshots`);
     }
+    return this.storage.snapshot();
+  }
+
+  restore(snapshot) {
+    if (typeof this.storage.restore !== 'function') {
+      throw new Error(`${this.storage.constructor.name} does not support snapshots`);
+    }
+    this.storage.restore(snapshot);
+    this.catalog.reset();
+    if (this.cache) this.cache.clear();
+    return this;
+  }
+
+  // Lists the collections recorded in the catalog; backups and the catalog
+  // itself are left out
+  async listCollections() {
+    const entries = await this.catalog.list({ type: 'collection' });
+    return entries.map(entry => ({
+      name: entry.name,
+      type: 'collection',
+      options: entry.options,
+      info: {
+        count: entry.count,
+        size: entry.size,
+        schemaVersion: entry.schemaVersion,
+        createdAt: entry.createdAt,
+        updatedAt: entry.updatedAt
+      }
+    }));
+  }
+
+  // Rebuilds the catalog from the collections in storage, e.g. after files
+  // were added or removed by hand. Resolves to the number of collections.
+  async rebuildCatalog() {
+    return this.catalog.rebuild();
   }
 
   // === Model Management ===
@@ -139,16 +1076,27 @@ class Connection {
     return this;
   }
 
-  startSession() {
-    throw new Error('Sessions are not supported in file-based storage');
+  // === Sessions ===
+  // See ClientSession
+  async startSession(options = {}) {
+    return new ClientSession(this, options);
   }
 
-  transaction() {
-    throw new Error('Transactions are not supported in file-based storage');
+  // Runs `fn(session)` in a transaction of a new session, see
+  // ClientSession#withTransaction
+  async transaction(fn, options = {}) {
+    return this.withSession(session => session.withTransaction(fn, options));
   }
 
-  withSession() {
-    throw new Error('Sessions are not supported in file-based storage');
+  // Runs `fn(session)` with a new session that is ended afterwards.
+  // Operations inside `fn` run in the session.
+  async withSession(fn, options = {}) {
+    const session = await this.startSession(options);
+    try {
+      return await this._runInSession(session, () => fn(session));
+    } finally {
+      await session.endSession();
+    }
   }
 
   // === Client Management ===
@@ -165,16 +1113,92 @@ class Connection {
     return this;
   }
 
-  syncIndexes() {
-    return [];
+  // Syncs the indexes recorded for every model with its schema, resolving
+  // to { [modelName]: number of indexes }
+  async syncIndexes() {
+    const result = {};
+    for (const [name, model] of Object.entries(this.models)) {
+      result[name] = await model.syncIndexes();
+    }
+    return result;
   }
 
-  asPromise() {
-    return this.connect();
+}
+
+// Path that selects the in-memory storage adapter
+Connection.MEMORY = ':memory:';
+
+// Change list of replacing every document of a collection
+function replacementChanges(previous, docs) {
+  return [
+    ...previous.map(doc => ({ op: 'delete', doc })),
+    ...docs.map(doc => ({ op: 'insert', doc }))
+  ];
+}
+
+// Ids of the documents a transaction would overwrite although they changed
+// since it first wrote their collection (`entry`, see ClientSession#_mutate).
+// A transaction committing the collection whole conflicts with any change.
+function conflictingIds(entry, stored) {
+  const current = new Map(stored.map(doc => [String(doc._id), doc]));
+  const ids = entry.records ? entry.touched : new Set([...entry.snapshot.keys(), ...current.keys()]);
+  return Array.from(ids).filter(id => !isEqual(entry.snapshot.get(id), current.get(id)));
+}
+
+// Journal records as the change list StorageAdapter#persist takes
+function toChanges(records) {
+  return records.map(record => record.op === 'delete'
+    ? { op: 'delete', doc: { _id: record._id } }
+    : record);
+}
+
+// 'durable': a write resolves once it is stored (fsynced, for files).
+// 'batched': a write resolves once it is applied in memory, and is lost if
+// the process dies before the next flush.
+const WRITE_CONCERNS = ['durable', 'batched'];
+
+function assertWriteConcern(concern) {
+  if (!WRITE_CONCERNS.includes(concern)) {
+    throw new Error(`Unknown writeConcern '${concern}', expected one of: ${WRITE_CONCERNS.join(', ')}`);
   }
+}
+
+// Connections holding batched writes, flushed when the process is about
+// to exit: when its event loop runs empty, or on SIGINT and SIGTERM (which
+// then end the process as usual, unless someone else handles them). A
+// process.exit() call or a crash gives no chance to flush.
+const batchingConnections = new Set();
+let exitHooksInstalled = false;
+
+function trackBatches(connection) {
+  batchingConnections.add(connection);
+  if (exitHooksInstalled) return;
+  exitHooksInstalled = true;
 
-  watch() {
-    throw new Error('Watch is not supported in file-based storage');
+  process.on('beforeExit', () => {
+    flushBeforeExit();
+  });
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, async () => {
+      await flushBeforeExit();
+      if (process.listenerCount(signal) === 0) {
+        process.kill(process.pid, signal);
+      }
+    });
+  }
+}
+
+async function flushBeforeExit() {
+  for (const connection of batchingConnections) {
+    batchingConnections.delete(connection);
+    if (connection._batches.size === 0) continue;
+    try {
+      await connection.flush();
+    } catch (error) {
+      // Nothing is left to retry it: report and let the process exit
+      console.error('Error flushing batched writes:', error);
+      connection._discardBatch();
+    }
   }
 }
 
@@ -49,7 +49,7 @@ class Document {
     Object.keys(this._doc).forEach(key => {
       if (!(key in this)) {
         Object.defineProperty(this, key, {
-          get: function() { return this._doc[key]; },
+          get: function() { return this.get(key); },
           set: function(value) { 
             this._doc[key] = value;
             this._modifiedPaths.add(key);
@@ -89,8 +89,11 @@ class Document {
   }
 
   // === Data Access and Modification ===
+  // Values pass through the path's getters; `_doc` keeps the raw value
   get(path) {
-    return this._doc[path];
+    const value = this._doc[path];
+    const schemaType = this._schema.path(path);
+    return schemaType && value !== undefined ? schemaType.applyGetters(value, this) : value;
   }
 
   set(path, val) {
@@ -111,7 +114,7 @@ class Document {
   }
 
   $inc(path, val = 1) {
-    const curVal = this.get(path) || 0;
+    const curVal = this._doc[path] || 0;
     return this.set(path, curVal + val);
   }
 
@@ -241,7 +244,7 @@ class Document {
     const schemaType = this._schema.path(path);
     if (!schemaType) return null;
 
-    const value = this.get(path);
+    const value = this._doc[path];
     return new Promise((resolve) => {
       schemaType.doValidate(value, (error) => {
         if (error) {
@@ -265,7 +268,8 @@ class Document {
   }
 
   // === Persistence Operations ===
-  async save() {
+  // Runs in `options.session` or the session set with $session()
+  async save(options = {}) {
     if (this._timestamps) {
       this._doc.updatedAt = new Date();
       if (this.isNew) {
@@ -291,7 +295,8 @@ class Document {
 
     const result = await this._model.updateOne(
       { _id: this._id },
-      this._doc
+      this._doc,
+      { session: options.session || this._session }
     );
 
     if (this._schema.middleware.post.save) {
@@ -410,6 +415,12 @@ class Document {
   toObject(options = {}) {
     const obj = { ...this._doc };
     
+    if (options.getters) {
+      for (const key of Object.keys(obj)) {
+        obj[key] = this.get(key);
+      }
+    }
+
     if (options.getters || options.virtuals) {
       // Apply virtuals and getters
       Object.entries(this._schema.virtuals).forEach(([path, virtual]) => {
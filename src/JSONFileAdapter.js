@@ -0,0 +1,1374 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { StorageAdapter } = require('./StorageAdapter.js');
+const {
+  isExtendedJSONEnvelope,
+  parseExtendedJSON,
+  stringifyExtendedJSON,
+  writeFileAtomic,
+  encodeFileData,
+  cleanupTempFiles,
+  withFileLock,
+  COMPRESSION_NAMES,
+  compressionExtension,
+  stripCompressionExtension,
+  readFileDecoded,
+  readFileHeader,
+  checksumPath,
+  verifyChecksum,
+  compressionForPath
+} = require('./utils.js');
+const { createKey, encryptionKeyId, ENCRYPTION_HEADER_LENGTH } = require('./encryption.js');
+const {
+  readJournal,
+  appendJournal,
+  writeJournal,
+  removeJournal,
+  toJournalRecords,
+  replayJournal,
+  iterateReplayed
+} = require('./journal.js');
+const { readNDJSONMode } = require('./ndjson.js');
+const { FORMAT_NAMES, getFormat, formatForPath } = require('./formats.js');
+const {
+  SEGMENTS_EXTENSION,
+  MANIFEST_FILE,
+  segmentFileName,
+  isSegmentFile,
+  emptyManifest,
+  readManifest,
+  writeManifest,
+  segmentStats,
+  segmentMayMatch,
+  planSegments
+} = require('./segments.js');
+const {
+  documentFileName,
+  isDocumentFile,
+  idsFromConditions,
+  readDocumentFile,
+  writeDocumentFile
+} = require('./documents.js');
+const { IntegrityError, EncryptionError } = require('./errors.js');
+
+class JSONFileAdapter extends StorageAdapter {
+  // === Core Functionality ===
+  // Stores each collection as `<dbPath>/<name>.json` (or `.ndjson`, `.bson`,
+  // see formats.js, optionally compressed as `.gz` or `.br`), followed by an
+  // append-only `<name>.journal` in journal mode (see journal.js). With an
+  // `encryptionKey` every file is encrypted (see encryption.js). With
+  // `integrity` each collection file has a `<file>.checksum` next to it
+  // that is verified on load (see utils.js). With a `segmentSize`,
+  // collections are split into a directory of segment files instead (see
+  // segments.js); with the `documents` layout, into a directory holding a
+  // file per document (see documents.js). Transactions keep their commit
+  // logs in `<dbPath>/.transactions/`, change streams their change log in
+  // `<dbPath>/.changes.log`.
+  constructor(dbPath = './db', options = {}) {
+    super();
+    this.dbPath = dbPath;
+    this.options = {
+      lockTimeout: 10000,
+      staleLockTimeout: 30000,
+      journal: false,
+      journalCompactThreshold: 1024 * 1024,
+      extendedJSON: 'relaxed',
+      storageFormat: 'json',
+      compression: false,
+      encryptionKey: null,
+      integrity: true,
+      segmentSize: 0,
+      layout: 'file',
+      ...options
+    };
+    getFormat(this.options.storageFormat);
+    compressionExtension(this.options.compression);
+    if (!Number.isInteger(this.options.segmentSize) || this.options.segmentSize < 0) {
+      throw new Error(`Invalid segmentSize ${this.options.segmentSize}, expected a number of documents (0 for none)`);
+    }
+    assertLayout(this.options.layout);
+    this._formats = new Map();
+    this._layouts = new Map();
+    // Segment each document of a segmented collection is stored in, as of
+    // the manifest it was read from: { signature, segmentOf }
+    this._segmentIndex = new Map();
+    // Events appended to the change log since it was last trimmed
+    this._changeLogAppends = 0;
+    this.setEncryptionKey(this.options.encryptionKey);
+  }
+
+  get id() {
+    return path.resolve(this.dbPath);
+  }
+
+  collectionPath(name, format = this.formatFor(name), compression = this.options.compression) {
+    return path.join(this.dbPath, `${name}${getFormat(format).extension}${compressionExtension(compression)}`);
+  }
+
+  // Overrides the storage format of one collection
+  setFormat(name, format) {
+    getFormat(format);
+    this._formats.set(name, format);
+  }
+
+  formatFor(name) {
+    return this._formats.get(name) || this.options.storageFormat;
+  }
+
+  // Overrides the layout of one collection: 'file' (segmented with a
+  // `segmentSize`) or 'documents'
+  setLayout(name, layout) {
+    assertLayout(layout);
+    this._layouts.set(name, layout);
+  }
+
+  // Layout new writes use: 'file', 'segments' or 'documents'
+  layoutFor(name) {
+    if ((this._layouts.get(name) || this.options.layout) === 'documents') return 'documents';
+    return this.options.segmentSize > 0 ? 'segments' : 'file';
+  }
+
+  // Files are written with `key` (plaintext when null). `previousKeys` can
+  // still be read, e.g. while rotating keys; a null entry accepts plaintext.
+  setEncryptionKey(key, previousKeys = []) {
+    this._encryptionKey = key ? createKey(key) : null;
+    this._decryptionKeys = [key, ...previousKeys].filter(Boolean).map(createKey);
+    this._requireEncryption = Boolean(key) && !previousKeys.includes(null);
+  }
+
+  // Options for reading and writing files (see utils.js, journal.js)
+  _fileOptions() {
+    return {
+      extendedJSON: this.options.extendedJSON,
+      encryptionKey: this._encryptionKey,
+      decryptionKeys: this._decryptionKeys,
+      requireEncryption: this._requireEncryption
+    };
+  }
+
+  // Every file a collection may be stored in, the configured one first
+  _candidatePaths(name) {
+    const preferred = this.collectionPath(name);
+    const candidates = [{ format: this.formatFor(name), filePath: preferred }];
+    for (const format of FORMAT_NAMES) {
+      for (const compression of [false, ...COMPRESSION_NAMES]) {
+        const filePath = this.collectionPath(name, format, compression);
+        if (filePath !== preferred) {
+          candidates.push({ format, filePath });
+        }
+      }
+    }
+    return candidates;
+  }
+
+  // The file a collection is stored in: the configured one if it exists,
+  // otherwise one left in another format or compression (until the next
+  // write converts it).
+  async _locate(name) {
+    for (const candidate of this._candidatePaths(name)) {
+      if (await fs.pathExists(candidate.filePath)) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  journalPath(name) {
+    return path.join(this.dbPath, `${name}.journal`);
+  }
+
+  segmentsPath(name) {
+    return path.join(this.dbPath, `${name}${SEGMENTS_EXTENSION}`);
+  }
+
+  manifestPath(name) {
+    return path.join(this.segmentsPath(name), MANIFEST_FILE);
+  }
+
+  documentsPath(name) {
+    return path.join(this.dbPath, name);
+  }
+
+  // Layout a collection is stored in: the configured one if the collection
+  // exists in it, otherwise whichever one it is found in (until the next
+  // write converts it). Null if it does not exist.
+  async _storedLayout(name) {
+    const preferred = this.layoutFor(name);
+    for (const layout of [preferred, ...STORED_LAYOUTS.filter(layout => layout !== preferred)]) {
+      const exists = layout === 'segments' ? await fs.pathExists(this.manifestPath(name))
+        : layout === 'documents' ? await isDocumentsDirectory(this.documentsPath(name))
+        : Boolean(await this._locate(name));
+      if (exists) return layout;
+    }
+    return null;
+  }
+
+  open() {
+    fs.mkdirSync(this.dbPath, { recursive: true });
+    cleanupTempFiles(this.dbPath);
+    for (const entry of fs.readdirSync(this.dbPath, { withFileTypes: true })) {
+      if (entry.isDirectory() && !entry.name.startsWith('.')) {
+        cleanupTempFiles(path.join(this.dbPath, entry.name));
+      }
+    }
+    // A commit log left half-written belongs to a commit that never took
+    // effect
+    cleanupTempFiles(this.commitLogsPath());
+  }
+
+  // === Reading and Writing ===
+  // Journals are always replayed, even when journaling is switched off,
+  // so a collection written in journal mode stays readable. Legacy plain
+  // JSON revives ISO date strings as Dates, unless `options.reviveDates`
+  // is false.
+  async load(name, options = {}) {
+    const readOptions = this._readOptions(options);
+    const layout = await this._storedLayout(name);
+    let docs = [];
+    if (layout === 'segments') {
+      docs = await this._readSegments(name, readOptions);
+    } else if (layout === 'documents') {
+      docs = await this._readDocuments(name, readOptions);
+    } else {
+      const located = await this._locate(name);
+      if (located) docs = await this._readVerified(located, readOptions);
+    }
+    const journalPath = this.journalPath(name);
+    const { records } = await asIntegrityError(journalPath, () => readJournal(journalPath, readOptions));
+    return replayJournal(docs, records);
+  }
+
+  _readOptions(options = {}) {
+    return options.reviveDates === false
+      ? { ...this._fileOptions(), dateReviver: value => value }
+      : this._fileOptions();
+  }
+
+  // Streams the documents of a collection instead of loading them all.
+  // The journal is read first (compaction keeps it small) and applied as
+  // the documents go by; reading it before the file means a compaction in
+  // between only replays records the file already holds. Segments and
+  // document files that cannot hold documents matching
+  // `options.conditions` are skipped.
+  async *iterate(name, options = {}) {
+    const journalPath = this.journalPath(name);
+    const { records } = await asIntegrityError(journalPath, () => readJournal(journalPath, this._fileOptions()));
+    const layout = await this._storedLayout(name);
+    if (layout === 'segments') {
+      yield* iterateReplayed(this._iterateSegments(name, options.conditions), records);
+      return;
+    }
+    if (layout === 'documents') {
+      yield* iterateReplayed(this._iterateDocuments(name, options.conditions), records);
+      return;
+    }
+    const located = await this._locate(name);
+    yield* iterateReplayed(located ? this._iterateVerified(located) : [], records);
+  }
+
+  // Reads a collection file, checking it against its checksum. A file
+  // replaced by another process halfway through is read again.
+  async _readVerified({ format, filePath }, readOptions = this._fileOptions()) {
+    for (let attempt = 1; ; attempt++) {
+      const signature = await fileSignature(filePath);
+      try {
+        const entry = await this._verifyFile({ format, filePath });
+        const docs = await asIntegrityError(filePath, () => getFormat(format).read(filePath, readOptions));
+        assertDocumentCount(filePath, entry, docs.length);
+        return docs;
+      } catch (error) {
+        const retry = error instanceof IntegrityError && attempt < VERIFY_ATTEMPTS &&
+          await fileSignature(filePath) !== signature;
+        if (!retry) throw error;
+      }
+    }
+  }
+
+  // Streaming counterpart of _readVerified. The checksum is verified before
+  // streaming; the document count can only be checked once the whole file
+  // has gone by, and is skipped if the file was replaced meanwhile.
+  async *_iterateVerified({ format, filePath }) {
+    const signature = await fileSignature(filePath);
+    const entry = await this._verifyFile({ format, filePath });
+    let count = 0;
+    try {
+      for await (const doc of getFormat(format).iterate(filePath, this._fileOptions())) {
+        count++;
+        yield doc;
+      }
+    } catch (error) {
+      throw toIntegrityError(filePath, error);
+    }
+    if (entry && count !== entry.count && await fileSignature(filePath) === signature) {
+      assertDocumentCount(filePath, entry, count);
+    }
+  }
+
+  // === Segments ===
+  async _readManifest(name) {
+    const manifestPath = this.manifestPath(name);
+    const manifest = await asIntegrityError(manifestPath, () => readManifest(manifestPath, this._fileOptions()));
+    return manifest || emptyManifest();
+  }
+
+  _segmentLocation(name, segment) {
+    return { format: formatForPath(segment.file), filePath: path.join(this.segmentsPath(name), segment.file) };
+  }
+
+  // Reads every segment of a collection and remembers which segment each
+  // document is in, for the next write. A manifest replaced by another
+  // process halfway through is read again.
+  async _readSegments(name, readOptions = this._fileOptions()) {
+    const manifestPath = this.manifestPath(name);
+    for (let attempt = 1; ; attempt++) {
+      const signature = await fileSignature(manifestPath);
+      try {
+        const manifest = await this._readManifest(name);
+        const docs = [];
+        const segmentOf = new Map();
+        for (const segment of manifest.segments) {
+          const located = this._segmentLocation(name, segment);
+          const segmentDocs = await this._readVerified(located, readOptions);
+          assertDocumentCount(located.filePath, segment, segmentDocs.length);
+          for (const doc of segmentDocs) {
+            docs.push(doc);
+            segmentOf.set(String(doc._id), segment.id);
+          }
+        }
+        this._segmentIndex.set(name, { signature, segmentOf });
+        return docs;
+      } catch (error) {
+        const retry = error instanceof IntegrityError && attempt < VERIFY_ATTEMPTS &&
+          await fileSignature(manifestPath) !== signature;
+        if (!retry) throw error;
+      }
+    }
+  }
+
+  async *_iterateSegments(name, conditions) {
+    const manifest = await this._readManifest(name);
+    for (const segment of manifest.segments) {
+      if (conditions && !segmentMayMatch(segment, conditions)) continue;
+      const located = this._segmentLocation(name, segment);
+      let count = 0;
+      for await (const doc of this._iterateVerified(located)) {
+        count++;
+        yield doc;
+      }
+      assertDocumentCount(located.filePath, segment, count);
+    }
+  }
+
+  // Where each document of a segmented collection is stored, as of its
+  // current manifest (read again if another process changed it)
+  async _segmentIndexFor(name) {
+    const index = this._segmentIndex.get(name);
+    if (index && index.signature === await fileSignature(this.manifestPath(name))) {
+      return index;
+    }
+    await this._readSegments(name);
+    return this._segmentIndex.get(name);
+  }
+
+  _segmentExtension(name) {
+    return `${getFormat(this.formatFor(name)).extension}${compressionExtension(this.options.compression)}`;
+  }
+
+  // Writes a segmented collection. Given the changes that produced `docs`,
+  // only the segments they touch are rewritten (see planSegments); without
+  // them every segment is. The files replaced are removed by the next
+  // write, or right away with `options.removeReplaced`.
+  async _writeSegments(name, docs, changes = [], options = {}) {
+    const dirPath = this.segmentsPath(name);
+    const manifestPath = this.manifestPath(name);
+    const previous = await readManifest(manifestPath, this._fileOptions());
+    const index = previous && changes.length > 0 ? await this._segmentIndexFor(name) : null;
+    const plan = planSegments(previous, index && index.segmentOf, docs, changes, this.options.segmentSize);
+
+    await fs.mkdir(dirPath, { recursive: true });
+    const manifest = { ...emptyManifest(), nextId: previous ? previous.nextId : 1 };
+    const written = [];
+    for (const entry of plan) {
+      if (entry.segment) {
+        manifest.segments.push(entry.segment);
+        continue;
+      }
+      const segment = await this._writeSegment(name, manifest.nextId++, entry.docs);
+      manifest.segments.push(segment);
+      written.push({ segment, docs: entry.docs });
+    }
+
+    const kept = new Set(manifest.segments.map(segment => segment.file));
+    const replaced = previous ? previous.segments.map(segment => segment.file).filter(file => !kept.has(file)) : [];
+    const removed = previous ? previous.retired : [];
+    if (options.removeReplaced) {
+      removed.push(...replaced);
+    } else {
+      manifest.retired = replaced;
+    }
+    await writeManifest(manifestPath, manifest, this._fileOptions());
+
+    // Only the documents written moved (or went away)
+    const segmentOf = index ? index.segmentOf : new Map();
+    for (const change of changes) {
+      if (change.op === 'delete') segmentOf.delete(String(change.doc._id));
+    }
+    for (const { segment, docs: segmentDocs } of written) {
+      for (const doc of segmentDocs) segmentOf.set(String(doc._id), segment.id);
+    }
+    this._segmentIndex.set(name, { signature: await fileSignature(manifestPath), segmentOf });
+
+    await this._removeSegmentFiles(name, removed);
+    await this._removeOtherLayouts(name, 'segments');
+  }
+
+  async _writeSegment(name, id, docs) {
+    const file = segmentFileName(id, this._segmentExtension(name));
+    const filePath = path.join(this.segmentsPath(name), file);
+    await getFormat(this.formatFor(name)).write(filePath, docs, this._writeOptions(docs));
+    const { size } = await fs.stat(filePath);
+    return { id, file, count: docs.length, size, fields: segmentStats(docs) };
+  }
+
+  async _removeSegmentFiles(name, files) {
+    for (const file of files) {
+      const filePath = path.join(this.segmentsPath(name), file);
+      await fs.remove(filePath);
+      await fs.remove(checksumPath(filePath));
+    }
+  }
+
+  // Removes a segmented collection, leaving anything else in its directory
+  // (such as quarantined files) alone. Resolves to false if there was none.
+  async _removeSegments(name) {
+    const dirPath = this.segmentsPath(name);
+    let files;
+    try {
+      files = await fs.readdir(dirPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+    this._segmentIndex.delete(name);
+    await this._removeSegmentFiles(name, files.filter(isSegmentFile));
+    const existed = files.includes(MANIFEST_FILE);
+    await fs.remove(this.manifestPath(name));
+    try {
+      await fs.rmdir(dirPath);
+    } catch (error) {
+      if (error.code !== 'ENOTEMPTY' && error.code !== 'EEXIST') throw error;
+    }
+    return existed;
+  }
+
+  // === Document Files ===
+  async _documentFiles(name) {
+    try {
+      return (await fs.readdir(this.documentsPath(name))).filter(isDocumentFile).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async _readDocuments(name, readOptions = this._fileOptions()) {
+    const docs = [];
+    for await (const doc of this._iterateDocuments(name, null, readOptions)) {
+      docs.push(doc);
+    }
+    return docs;
+  }
+
+  // Reads the document files of a collection one at a time, or only the
+  // ones of the ids `conditions` is limited to
+  async *_iterateDocuments(name, conditions, readOptions = this._fileOptions()) {
+    const ids = conditions ? idsFromConditions(conditions) : null;
+    const files = ids ? ids.map(documentFileName) : await this._documentFiles(name);
+    for (const file of files) {
+      // Null when the file is gone (deleted meanwhile, or no such id)
+      const doc = await readDocumentFile(path.join(this.documentsPath(name), file), readOptions);
+      if (doc) yield doc;
+    }
+  }
+
+  // Writes a collection as document files. Given the changes that produced
+  // `docs`, only the files of the documents they touch are written or
+  // removed; without them every file is written (files that would not
+  // change are left alone) and the files of documents no longer there are
+  // removed.
+  async _writeDocuments(name, docs, changes = []) {
+    const dirPath = this.documentsPath(name);
+    const options = this._fileOptions();
+    if (changes.length > 0 && await isDirectory(dirPath)) {
+      const changed = new Set(changes.map(change => String(change.doc._id)));
+      const current = new Map();
+      for (const doc of docs) {
+        if (changed.has(String(doc._id))) current.set(String(doc._id), doc);
+      }
+      for (const id of changed) {
+        const filePath = path.join(dirPath, documentFileName(id));
+        if (current.has(id)) {
+          await writeDocumentFile(filePath, current.get(id), options);
+        } else {
+          await fs.remove(filePath);
+        }
+      }
+    } else {
+      await fs.mkdir(dirPath, { recursive: true });
+      const files = new Set();
+      for (const doc of docs) {
+        const file = documentFileName(doc._id);
+        files.add(file);
+        await writeDocumentFile(path.join(dirPath, file), doc, { ...options, skipUnchanged: true });
+      }
+      for (const file of await this._documentFiles(name)) {
+        if (!files.has(file)) await fs.remove(path.join(dirPath, file));
+      }
+    }
+    await this._removeOtherLayouts(name, 'documents');
+  }
+
+  // Removes a collection stored as document files, leaving anything else
+  // in its directory alone. Resolves to false if there was none.
+  async _removeDocuments(name) {
+    const dirPath = this.documentsPath(name);
+    let files;
+    try {
+      files = await fs.readdir(dirPath);
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return false;
+      throw error;
+    }
+    const documentFiles = files.filter(isDocumentFile);
+    for (const file of documentFiles) {
+      await fs.remove(path.join(dirPath, file));
+    }
+    try {
+      await fs.rmdir(dirPath);
+    } catch (error) {
+      if (error.code !== 'ENOTEMPTY' && error.code !== 'EEXIST') throw error;
+    }
+    return files.length === 0 || documentFiles.length > 0;
+  }
+
+  // Removes the copy of a collection left in another layout, once it has
+  // been written in `layout`
+  async _removeOtherLayouts(name, layout) {
+    if (layout !== 'file') {
+      const located = await this._locate(name);
+      if (located) {
+        await fs.remove(located.filePath);
+        await fs.remove(checksumPath(located.filePath));
+      }
+    }
+    if (layout !== 'segments') await this._removeSegments(name);
+    if (layout !== 'documents') await this._removeDocuments(name);
+  }
+
+  // Resolves to the checksum entry the file matches (null without one)
+  async _verifyFile({ format, filePath }) {
+    if (!this.options.integrity) return null;
+    const { append } = getFormat(format);
+    return verifyChecksum(filePath, { allowTail: Boolean(append) && !compressionForPath(filePath) });
+  }
+
+  // Options for writing a collection file of `docs`
+  _writeOptions(docs) {
+    return {
+      ...this._fileOptions(),
+      integrity: this.options.integrity ? { count: docs.length } : false
+    };
+  }
+
+  async persist(name, docs, changes = []) {
+    const journalPath = this.journalPath(name);
+    const tail = await this._journalTail(journalPath);
+
+    // Segments and document files already limit a write to the documents
+    // it touches, so they take no journal. Pending journal records are
+    // folded in with a full write: the documents they apply to are not
+    // among the changes.
+    const layout = this.layoutFor(name);
+    if (layout !== 'file') {
+      await fs.mkdir(this.dbPath, { recursive: true });
+      const knownChanges = tail.size === 0 ? changes : [];
+      if (layout === 'segments') {
+        await this._writeSegments(name, docs, knownChanges);
+      } else {
+        await this._writeDocuments(name, docs, knownChanges);
+      }
+      if (tail.size > 0) await removeJournal(journalPath);
+      return;
+    }
+
+    if (tail.size === 0 && await this._appendInserts(name, docs, changes)) {
+      return;
+    }
+
+    const records = this.options.journal && changes.length > 0 ? toJournalRecords(changes) : null;
+
+    if (records) {
+      const written = await appendJournal(journalPath, records, {
+        ...this._fileOptions(),
+        truncateTo: tail.validSize < tail.size ? tail.validSize : null
+      });
+      if (tail.validSize + written < this.options.journalCompactThreshold) {
+        return;
+      }
+    }
+
+    // Snapshot first: replaying a stale journal onto it is harmless
+    await fs.mkdir(this.dbPath, { recursive: true });
+    await this._writeSnapshot(name, docs);
+    if (tail.size > 0 || records) {
+      await removeJournal(journalPath);
+    }
+  }
+
+  // Formats that support it (NDJSON, BSON) take new documents as an append
+  // instead of a rewrite
+  async _appendInserts(name, docs, changes) {
+    const { append } = getFormat(this.formatFor(name));
+    if (!append || changes.length === 0) return false;
+    if (!changes.every(change => change.op === 'insert')) return false;
+
+    const filePath = this.collectionPath(name);
+    const appended = await append(filePath, changes.map(change => change.doc), this._writeOptions(docs));
+    if (appended && !this.options.integrity) {
+      await fs.remove(checksumPath(filePath));
+    }
+    return appended;
+  }
+
+  // Size of the journal and offset just past its last complete record
+  async _journalTail(journalPath) {
+    let data;
+    try {
+      data = await fs.readFile(journalPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return { size: 0, validSize: 0 };
+      throw error;
+    }
+    return { size: data.length, validSize: data.lastIndexOf(0x0a) + 1 };
+  }
+
+  // Folds the journal into the snapshot. Segmented collections are also
+  // rewritten into full segments once deletes have left any but the last
+  // one less than half full, and files kept for readers are removed.
+  async compact(name) {
+    const { size } = await this._journalTail(this.journalPath(name));
+    if (size === 0 && this.layoutFor(name) === 'segments' && await this._storedLayout(name) === 'segments') {
+      return this._compactSegments(name);
+    }
+    if (size === 0) return false;
+
+    const docs = await this.load(name);
+    await this._writeSnapshot(name, docs);
+    await removeJournal(this.journalPath(name));
+    return true;
+  }
+
+  async _compactSegments(name) {
+    const manifest = await this._readManifest(name);
+    const fragmented = manifest.segments.slice(0, -1)
+      .some(segment => segment.count < this.options.segmentSize / 2);
+    if (fragmented) {
+      await this._writeSegments(name, await this.load(name), [], { removeReplaced: true });
+      return true;
+    }
+    if (manifest.retired.length === 0) return false;
+
+    await writeManifest(this.manifestPath(name), { ...manifest, retired: [] }, this._fileOptions());
+    await this._removeSegmentFiles(name, manifest.retired);
+    return true;
+  }
+
+  // Writes the whole collection in the configured layout
+  async _writeSnapshot(name, docs) {
+    const layout = this.layoutFor(name);
+    if (layout === 'segments') {
+      await this._writeSegments(name, docs, [], { removeReplaced: true });
+      return;
+    }
+    if (layout === 'documents') {
+      await this._writeDocuments(name, docs);
+      return;
+    }
+
+    const previous = await this._locate(name);
+    const filePath = this.collectionPath(name);
+    await getFormat(this.formatFor(name)).write(filePath, docs, this._writeOptions(docs));
+    // A checksum that is no longer kept up to date would fail the next
+    // load with integrity switched on
+    if (!this.options.integrity) {
+      await fs.remove(checksumPath(filePath));
+    }
+    // Remove the copy left behind by a change of format or compression
+    if (previous && previous.filePath !== filePath) {
+      await fs.remove(previous.filePath);
+      await fs.remove(checksumPath(previous.filePath));
+    }
+    await this._removeOtherLayouts(name, 'file');
+  }
+
+  // Rewrites a collection stored differently than configured: in another
+  // file format or compression, with another encryption key, as legacy
+  // plain JSON when Extended JSON is enabled, without a checksum, or in
+  // another layout (a single file, segments, segments over `segmentSize`
+  // or document files). Legacy plain JSON is read without reviving ISO
+  // date strings: `options.castDates(docs)` turns those that are dates
+  // into Dates.
+  async migrate(name, options = {}) {
+    const layout = await this._storedLayout(name);
+    const { size } = await this._journalTail(this.journalPath(name));
+    if (!layout && size === 0) return false;
+
+    const current = size === 0 && layout === this.layoutFor(name) &&
+      await this._layoutMatchesOptions(name, layout);
+    if (current) {
+      return false;
+    }
+
+    const docs = await this.load(name, { reviveDates: false });
+    await this._writeSnapshot(name, options.castDates ? options.castDates(docs) : docs);
+    await removeJournal(this.journalPath(name));
+    return true;
+  }
+
+  async _layoutMatchesOptions(name, layout) {
+    if (layout === 'segments') return this._segmentsMatchOptions(name);
+    if (layout === 'documents') return this._documentsMatchOptions(name);
+    const located = await this._locate(name);
+    return located.filePath === this.collectionPath(name) && await this._matchesOptions(located);
+  }
+
+  async _matchesOptions(located) {
+    return await this._matchesEncryptionKey(located) &&
+      await this._matchesExtendedJSON(located) &&
+      (!this.options.integrity || await fs.pathExists(checksumPath(located.filePath)));
+  }
+
+  async _segmentsMatchOptions(name) {
+    if (!(await this._matchesEncryptionKey({ filePath: this.manifestPath(name) }))) return false;
+    const manifest = await this._readManifest(name);
+    const extension = this._segmentExtension(name);
+    for (const segment of manifest.segments) {
+      const matches = segment.file === segmentFileName(segment.id, extension) &&
+        segment.count <= this.options.segmentSize &&
+        await this._matchesOptions(this._segmentLocation(name, segment));
+      if (!matches) return false;
+    }
+    return true;
+  }
+
+  // Document files carry no format header, so only their encryption can
+  // be told apart
+  async _documentsMatchOptions(name) {
+    for (const file of await this._documentFiles(name)) {
+      if (!(await this._matchesEncryptionKey({ filePath: path.join(this.documentsPath(name), file) }))) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  async _matchesEncryptionKey({ filePath }) {
+    const keyId = encryptionKeyId(await readFileHeader(filePath, ENCRYPTION_HEADER_LENGTH));
+    return keyId === (this._encryptionKey ? this._encryptionKey.id.toString('hex') : null);
+  }
+
+  // Whether a text file uses Extended JSON exactly when configured to
+  // (BSON files are binary and always match)
+  async _matchesExtendedJSON({ format, filePath }) {
+    if (format === 'bson') return true;
+
+    let isExtended;
+    if (format === 'ndjson') {
+      isExtended = Boolean(await readNDJSONMode(filePath, this._fileOptions()));
+    } else {
+      isExtended = isExtendedJSONEnvelope(await readFileDecoded(filePath, { ...this._fileOptions(), encoding: 'utf8' }));
+    }
+    return isExtended === Boolean(this.options.extendedJSON);
+  }
+
+  // === Integrity ===
+  // Reads a collection the way `load` does and reports on it:
+  //   { name, status, path, documents, code?, error? }
+  // where status is 'ok', 'unverified' (no checksum to check against) or
+  // 'corrupt' (with the IntegrityError or EncryptionError code and message).
+  // Document files have no checksums: they are only checked to parse and
+  // to hold the document their name says.
+  async verify(name) {
+    const layout = await this._storedLayout(name);
+    const located = layout === 'file' ? await this._locate(name) : null;
+    const report = {
+      name,
+      status: 'ok',
+      path: this._layoutPath(name, layout, located),
+      documents: 0
+    };
+    try {
+      report.documents = (await this.load(name)).length;
+      if (!(await this._isChecksummed(name, layout, located))) {
+        report.status = 'unverified';
+      }
+    } catch (error) {
+      if (!isCorruption(error)) throw error;
+      Object.assign(report, { status: 'corrupt', path: error.path || report.path, code: error.code, error: error.message });
+    }
+    return report;
+  }
+
+  // Where a collection is stored (its journal if it has nothing else)
+  _layoutPath(name, layout, located) {
+    if (layout === 'segments') return this.segmentsPath(name);
+    if (layout === 'documents') return this.documentsPath(name);
+    return located ? located.filePath : this.journalPath(name);
+  }
+
+  // Whether every file of a collection has a checksum to verify it against
+  async _isChecksummed(name, layout, located) {
+    if (layout === 'documents') return false;
+    const filePaths = layout === 'segments'
+      ? (await this._readManifest(name)).segments.map(segment => this._segmentLocation(name, segment).filePath)
+      : (located ? [located.filePath] : []);
+    for (const filePath of filePaths) {
+      if (!(this.options.integrity && await fs.pathExists(checksumPath(filePath)))) return false;
+    }
+    return true;
+  }
+
+  // Rebuilds a corrupt collection from every document that can still be
+  // parsed from its file and journal. The damaged files are copied aside
+  // first, as `<file>.corrupt-<timestamp>`, and the collection is written
+  // back in the configured format.
+  async repair(name) {
+    const report = await this.verify(name);
+    if (report.status !== 'corrupt') {
+      return { name, repaired: false, documents: report.documents, skipped: 0, quarantined: [] };
+    }
+
+    const layout = await this._storedLayout(name);
+    const located = layout === 'file' ? await this._locate(name) : null;
+    const journalPath = this.journalPath(name);
+    let docs = [];
+    let skipped = 0;
+    let damagedFiles = located ? [located.filePath, checksumPath(located.filePath)] : [];
+    if (layout === 'segments') {
+      ({ docs, skipped, damagedFiles } = await this._salvageSegments(name));
+    } else if (layout === 'documents') {
+      ({ docs, skipped, damagedFiles } = await this._salvageDocuments(name));
+    } else if (located) {
+      ({ docs, skipped } = await getFormat(located.format).salvage(located.filePath, this._fileOptions()));
+    }
+
+    const suffix = `.corrupt-${Date.now()}`;
+    const quarantined = [];
+    for (const filePath of [...damagedFiles, journalPath]) {
+      if (await fs.pathExists(filePath)) {
+        await fs.copy(filePath, filePath + suffix);
+        quarantined.push(filePath + suffix);
+      }
+    }
+    if (located) {
+      await fs.remove(checksumPath(located.filePath));
+    }
+    // Nothing can be kept of segments listed by a damaged manifest
+    if (damagedFiles.includes(this.manifestPath(name))) {
+      await this._removeSegments(name);
+    }
+    const journal = await readJournal(journalPath, { ...this._fileOptions(), salvage: true });
+    docs = replayJournal(docs, journal.records);
+    skipped += journal.skipped;
+
+    await fs.mkdir(this.dbPath, { recursive: true });
+    await this._writeSnapshot(name, docs);
+    await removeJournal(journalPath);
+    return { name, repaired: true, documents: docs.length, skipped, quarantined };
+  }
+
+  // Reads what it can of every segment, salvaging the damaged ones.
+  // Without a readable manifest every segment file in the directory is
+  // salvaged, in the order they were written, the last copy of a document
+  // winning.
+  async _salvageSegments(name) {
+    const damagedFiles = [];
+    let manifest = null;
+    try {
+      manifest = await this._readManifest(name);
+    } catch (error) {
+      if (!isCorruption(error)) throw error;
+      damagedFiles.push(this.manifestPath(name));
+    }
+    const segments = manifest
+      ? manifest.segments.map(segment => ({ segment, ...this._segmentLocation(name, segment) }))
+      : (await fs.readdir(this.segmentsPath(name))).filter(isSegmentFile).sort()
+        .map(file => ({ segment: null, ...this._segmentLocation(name, { file }) }));
+
+    const docs = new Map();
+    let skipped = 0;
+    for (const { segment, format, filePath } of segments) {
+      let segmentDocs;
+      try {
+        segmentDocs = await this._readVerified({ format, filePath });
+        if (segment) assertDocumentCount(filePath, segment, segmentDocs.length);
+      } catch (error) {
+        if (!isCorruption(error)) throw error;
+        if (await fs.pathExists(filePath)) {
+          damagedFiles.push(filePath, checksumPath(filePath));
+          const salvaged = await getFormat(format).salvage(filePath, this._fileOptions());
+          segmentDocs = salvaged.docs;
+          skipped += salvaged.skipped;
+        } else {
+          segmentDocs = [];
+          skipped += segment.count;
+        }
+      }
+      for (const doc of segmentDocs) {
+        docs.set(String(doc._id), doc);
+      }
+    }
+    return { docs: Array.from(docs.values()), skipped, damagedFiles };
+  }
+
+  // Reads every document file that can still be read. A file holding a
+  // document other than its name says is damaged but keeps its document
+  // (written back under its own name); the last copy of a document wins.
+  async _salvageDocuments(name) {
+    const docs = new Map();
+    const damagedFiles = [];
+    let skipped = 0;
+    for (const file of await this._documentFiles(name)) {
+      const filePath = path.join(this.documentsPath(name), file);
+      let doc;
+      try {
+        doc = await readDocumentFile(filePath, this._fileOptions());
+      } catch (error) {
+        if (!isCorruption(error)) throw error;
+        damagedFiles.push(filePath);
+        if (error.code !== 'EID') {
+          skipped++;
+          continue;
+        }
+        doc = await readDocumentFile(filePath, { ...this._fileOptions(), checkId: false });
+      }
+      if (doc) docs.set(String(doc._id), doc);
+    }
+    return { docs: Array.from(docs.values()), skipped, damagedFiles };
+  }
+
+  // === Commit Logs ===
+  // A transaction writes all its changes to `.transactions/<id>.json`
+  // before applying them, and removes the file once they are applied (see
+  // Connection#_commitTransaction). Logs are written atomically in
+  // Extended JSON, encrypted like the collections.
+  commitLogsPath() {
+    return path.join(this.dbPath, COMMIT_LOGS_DIRECTORY);
+  }
+
+  commitLogPath(id) {
+    return path.join(this.commitLogsPath(), `${id}.json`);
+  }
+
+  async writeCommitLog(id, log) {
+    const filePath = this.commitLogPath(id);
+    await fs.mkdir(this.commitLogsPath(), { recursive: true });
+    const data = stringifyExtendedJSON(log, { mode: this.options.extendedJSON || 'relaxed', spaces: 0 });
+    await writeFileAtomic(filePath, await encodeFileData(filePath, data, this._fileOptions()));
+  }
+
+  // Resolves to null if the log does not exist (any more)
+  async readCommitLog(id) {
+    const filePath = this.commitLogPath(id);
+    let data;
+    try {
+      data = await readFileDecoded(filePath, { ...this._fileOptions(), encoding: 'utf8' });
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    try {
+      return parseExtendedJSON(data);
+    } catch (error) {
+      throw new IntegrityError(`${filePath} cannot be parsed: ${error.message}`, 'EPARSE', filePath);
+    }
+  }
+
+  async removeCommitLog(id) {
+    await fs.remove(this.commitLogPath(id));
+  }
+
+  // Ids of the logs present, oldest first (ids start with a timestamp)
+  async listCommitLogs() {
+    let files;
+    try {
+      files = await fs.readdir(this.commitLogsPath());
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return files
+      .filter(file => path.extname(file) === '.json')
+      .map(file => path.basename(file, '.json'))
+      .sort();
+  }
+
+  // === Change Log ===
+  // Change events (see ChangeStream.js) are appended to `.changes.log`, one
+  // per line like journal records, so that change streams can resume after
+  // a restart. Appends are locked across processes. Once `options.keep`
+  // events were appended, the log is trimmed to the last `keep`.
+  changeLogPath() {
+    return path.join(this.dbPath, CHANGE_LOG_FILE);
+  }
+
+  _changeLogOptions() {
+    return { ...this._fileOptions(), extendedJSON: this.options.extendedJSON || 'relaxed' };
+  }
+
+  async appendChangeLog(events, options = {}) {
+    const logPath = this.changeLogPath();
+    await fs.mkdir(this.dbPath, { recursive: true });
+    await withFileLock(logPath, async () => {
+      await appendJournal(logPath, events, this._changeLogOptions());
+      this._changeLogAppends += events.length;
+      if (options.keep && this._changeLogAppends >= options.keep) {
+        await this._trimChangeLog(options.keep);
+      }
+    }, {
+      timeout: this.options.lockTimeout,
+      staleTimeout: this.options.staleLockTimeout
+    });
+  }
+
+  // Lines are kept as written, encrypted or not
+  async _trimChangeLog(keep) {
+    const logPath = this.changeLogPath();
+    const lines = (await fs.readFile(logPath, 'utf8')).split('\n').filter(line => line.trim());
+    if (lines.length > keep) {
+      await writeFileAtomic(logPath, lines.slice(-keep).join('\n') + '\n');
+    }
+    this._changeLogAppends = 0;
+  }
+
+  // Oldest first. A torn last line is skipped.
+  async readChangeLog() {
+    const { records } = await readJournal(this.changeLogPath(), {
+      ...this._changeLogOptions(),
+      assertRecord: assertChangeEvent
+    });
+    return records;
+  }
+
+  // Rewrites the change log with the current encryption key (or none), see
+  // Connection#migrate
+  async rewriteChangeLog() {
+    const logPath = this.changeLogPath();
+    if (!(await fs.pathExists(logPath))) return false;
+    await withFileLock(logPath, async () => {
+      await writeJournal(logPath, await this.readChangeLog(), this._changeLogOptions());
+    }, {
+      timeout: this.options.lockTimeout,
+      staleTimeout: this.options.staleLockTimeout
+    });
+    return true;
+  }
+
+  // === Watching ===
+  // Calls `listener` whenever something in the database directory may have
+  // changed, including through this adapter (see CollectionWatcher).
+  // Returns a function that stops watching. The directory and each
+  // directory in it (segmented collections, documents layout) are watched
+  // on their own: files replaced by a rename, as every write does, are
+  // lost by recursive watchers on some platforms. Lock and temporary files
+  // come and go with every write and are left out.
+  watch(listener) {
+    const watchers = new Map();
+    const watchDirectory = (dirPath) => {
+      if (watchers.has(dirPath)) return;
+      let watcher;
+      try {
+        watcher = fs.watch(dirPath, { persistent: false }, (eventType, fileName) => {
+          if (dirPath === this.dbPath) watchDirectories();
+          if (fileName && IGNORED_CHANGE_PATTERN.test(fileName)) return;
+          listener();
+        });
+      } catch (error) {
+        // Removed meanwhile
+        return;
+      }
+      // Also once the directory is removed. The caller checks for changes
+      // on a timer as well.
+      watcher.on('error', () => {
+        watcher.close();
+        watchers.delete(dirPath);
+      });
+      watchers.set(dirPath, watcher);
+    };
+    const watchDirectories = () => {
+      fs.readdir(this.dbPath, { withFileTypes: true }).then(entries => {
+        if (stopped) return;
+        for (const entry of entries) {
+          if (entry.isDirectory() && !entry.name.startsWith('.')) {
+            watchDirectory(path.join(this.dbPath, entry.name));
+          }
+        }
+      }, () => {});
+    };
+
+    let stopped = false;
+    watchDirectory(this.dbPath);
+    watchDirectories();
+    return () => {
+      stopped = true;
+      for (const watcher of watchers.values()) watcher.close();
+      watchers.clear();
+    };
+  }
+
+  // === Collection Management ===
+  async list() {
+    try {
+      const entries = await fs.readdir(this.dbPath, { withFileTypes: true });
+      const names = new Set();
+      for (const entry of entries) {
+        const file = entry.name;
+        if (entry.isDirectory()) {
+          if (file.startsWith('.')) continue;
+          if (file.endsWith(SEGMENTS_EXTENSION)) {
+            if (await fs.pathExists(path.join(this.dbPath, file, MANIFEST_FILE))) {
+              names.add(path.basename(file, SEGMENTS_EXTENSION));
+            }
+          } else if (await isDocumentsDirectory(path.join(this.dbPath, file))) {
+            names.add(file);
+          }
+          continue;
+        }
+        // Skip the metadata files mongodump writes next to `.bson` files
+        if (file.endsWith('.metadata.json')) continue;
+        const uncompressed = stripCompressionExtension(file);
+        const extension = path.extname(uncompressed);
+        // A journal without a snapshot is a collection too
+        if (extension === '.journal' || FORMAT_NAMES.some(format => getFormat(format).extension === extension)) {
+          names.add(path.basename(uncompressed, extension));
+        }
+      }
+      return Array.from(names);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async drop(name) {
+    await fs.remove(this.journalPath(name));
+    let dropped = await this._removeSegments(name);
+    dropped = await this._removeDocuments(name) || dropped;
+    for (const { filePath } of this._candidatePaths(name)) {
+      await fs.remove(checksumPath(filePath));
+      try {
+        await fs.unlink(filePath);
+        dropped = true;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    return dropped;
+  }
+
+  async rename(from, to, options = {}) {
+    const located = await this._locate(from);
+    if (!located && !(await this.stat(from))) {
+      throw new Error(`Collection '${from}' does not exist`);
+    }
+    if (await this.stat(to)) {
+      if (!options.dropTarget) {
+        throw new Error(`Collection '${to}' already exists`);
+      }
+      await this.drop(to);
+    }
+
+    await fs.remove(this.journalPath(to));
+    if (await fs.pathExists(this.journalPath(from))) {
+      await fs.rename(this.journalPath(from), this.journalPath(to));
+    }
+    if (await fs.pathExists(this.manifestPath(from))) {
+      this._segmentIndex.delete(from);
+      await fs.rename(this.segmentsPath(from), this.segmentsPath(to));
+    }
+    if (await isDocumentsDirectory(this.documentsPath(from))) {
+      await fs.rename(this.documentsPath(from), this.documentsPath(to));
+    }
+    // The file keeps its format and compression; the next write converts
+    // it if needed
+    if (located) {
+      const suffix = path.basename(located.filePath).slice(from.length);
+      const target = path.join(this.dbPath, `${to}${suffix}`);
+      await fs.rename(located.filePath, target);
+      if (await fs.pathExists(checksumPath(located.filePath))) {
+        await fs.rename(checksumPath(located.filePath), checksumPath(target));
+      }
+    }
+  }
+
+  async stat(name) {
+    const statFile = async (filePath) => {
+      try {
+        return await fs.stat(filePath);
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    };
+    // The manifest of a segmented collection changes with every write
+    const layout = await this._storedLayout(name);
+    const located = layout === 'file' ? await this._locate(name) : null;
+    const [snapshot, journal] = await Promise.all([
+      layout === 'segments' ? statFile(this.manifestPath(name))
+        : layout === 'documents' ? this._statDocuments(name)
+        : (located ? statFile(located.filePath) : null),
+      statFile(this.journalPath(name))
+    ]);
+    if (!snapshot && !journal) return null;
+
+    const describe = (stats) => stats ? `${stats.mtimeMs}:${stats.size}:${stats.ino}` : '-';
+    const main = snapshot || journal;
+    const snapshotSize = layout === 'segments'
+      ? (await this._readManifest(name)).segments.reduce((size, segment) => size + segment.size, 0)
+      : (snapshot ? snapshot.size : 0);
+
+    return {
+      name,
+      path: layout ? this._layoutPath(name, layout, located) : this.collectionPath(name),
+      size: snapshotSize + (journal ? journal.size : 0),
+      createdAt: main.birthtime,
+      modifiedAt: journal && journal.mtime > main.mtime ? journal.mtime : main.mtime,
+      signature: `${snapshot ? snapshot.signature || describe(snapshot) : '-'}|${describe(journal)}`
+    };
+  }
+
+  // Stats of a directory of document files as if it were one file: the
+  // total size, the time of the latest change, and a signature that
+  // changes with any file
+  async _statDocuments(name) {
+    const dirPath = this.documentsPath(name);
+    const directory = await fs.stat(dirPath);
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    let mtime = directory.mtime;
+    for (const file of await this._documentFiles(name)) {
+      let stats;
+      try {
+        stats = await fs.stat(path.join(dirPath, file));
+      } catch (error) {
+        // Deleted meanwhile
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+      hash.update(`${file}:${stats.mtimeMs}:${stats.size}:${stats.ino}\n`);
+      size += stats.size;
+      if (stats.mtime > mtime) mtime = stats.mtime;
+    }
+    return { size, mtime, birthtime: directory.birthtime, signature: hash.digest('hex') };
+  }
+
+  // Always `<name>.json.lock`, so processes configured with different
+  // formats or compression still agree on the lock
+  async lock(name, fn) {
+    return withFileLock(this.collectionPath(name, 'json', false), fn, {
+      timeout: this.options.lockTimeout,
+      staleTimeout: this.options.staleLockTimeout
+    });
+  }
+
+  async dropDatabase() {
+    await fs.remove(this.dbPath);
+  }
+}
+
+// Times a verified read is attempted while other processes keep replacing
+// the file
+const VERIFY_ATTEMPTS = 3;
+
+const COMMIT_LOGS_DIRECTORY = '.transactions';
+const CHANGE_LOG_FILE = '.changes.log';
+// Files that change without the data changing, see watch()
+const IGNORED_CHANGE_PATTERN = /(\.lock|\.stale|\.tmp|\.changes\.log)$/;
+
+const LAYOUT_NAMES = ['file', 'documents'];
+const STORED_LAYOUTS = ['file', 'segments', 'documents'];
+
+function assertLayout(layout) {
+  if (!LAYOUT_NAMES.includes(layout)) {
+    throw new Error(`Unknown layout '${layout}', expected one of: ${LAYOUT_NAMES.join(', ')}`);
+  }
+}
+
+async function isDirectory(dirPath) {
+  try {
+    return (await fs.stat(dirPath)).isDirectory();
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+// Whether a directory holds a collection of document files: it has some,
+// or is empty (a collection without documents)
+async function isDocumentsDirectory(dirPath) {
+  let files;
+  try {
+    files = await fs.readdir(dirPath);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return false;
+    throw error;
+  }
+  return files.length === 0 || files.some(isDocumentFile);
+}
+
+function assertChangeEvent(event) {
+  if (!event || !event._id || typeof event._id._data !== 'string' || typeof event.operationType !== 'string') {
+    throw new Error('not a change event');
+  }
+  return event;
+}
+
+// Whether an error says stored data is damaged
+function isCorruption(error) {
+  return error instanceof IntegrityError || (error instanceof EncryptionError && error.code === 'ETAMPERED');
+}
+
+// Reports a file that cannot be parsed as an IntegrityError; I/O and
+// encryption errors pass through
+function toIntegrityError(filePath, error) {
+  if (error instanceof IntegrityError || error instanceof EncryptionError || error.syscall) return error;
+  return new IntegrityError(`${filePath} cannot be parsed: ${error.message}`, 'EPARSE', filePath);
+}
+
+async function asIntegrityError(filePath, read) {
+  try {
+    return await read();
+  } catch (error) {
+    throw toIntegrityError(filePath, error);
+  }
+}
+
+function assertDocumentCount(filePath, entry, count) {
+  if (entry && count !== entry.count) {
+    throw new IntegrityError(`${filePath} holds ${count} documents but ${entry.count} were written`, 'ECOUNT', filePath);
+  }
+}
+
+// Changes whenever the file is rewritten or appended to
+async function fileSignature(filePath) {
+  try {
+    const stats = await fs.stat(filePath);
+    return `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+module.exports = { JSONFileAdapter };
@@ -0,0 +1,223 @@
+const { EventEmitter } = require('events');
+const { cloneDeep, isEqual } = require('lodash');
+const { ChangeStream } = require('./ChangeStream.js');
+const { Document } = require('./Document.js');
+
+class LiveQuery extends EventEmitter {
+  // === Core Functionality ===
+  // Keeps the results of a query up to date (see Query#live). It holds
+  // every document matching the query's conditions, sorted, and follows
+  // the change events of the collection (see ChangeStream): each event
+  // carries the document as the write left it, which is matched against
+  // the conditions on its own and moved in or out of place. The collection
+  // is only read once.
+  // Emits 'change' with the initial results, then whenever a write changes
+  // them:
+  //   { docs, added: [{ doc, index }], removed: [{ doc, index }],
+  //     changed: [{ doc, index }], moved: [{ doc, from, to }] }
+  // `docs` are the results as exec() resolves to them (Documents, or plain
+  // objects with lean()). Indexes are positions in `docs`, or in the
+  // previous results for removed documents and `from`. The events of one
+  // write are sent as one 'change'. Documents that sort equally keep the
+  // order they were first seen in.
+  constructor(query) {
+    super();
+    if (query._populate.length > 0) {
+      throw new Error('Live queries do not support populate()');
+    }
+    this.query = query;
+    this.model = query.model;
+    this.conditions = query._conditions || query.conditions;
+    this.docs = [];
+    this.closed = false;
+    this.error = null;
+    // Every matching document in result order: { id, doc, position, result }
+    this._matched = [];
+    this._byId = new Map();
+    this._positions = 0;
+    // Entries of the results last sent
+    this._results = [];
+    // Ids of the documents changed since
+    this._touched = new Set();
+    // Events received while the initial results are read
+    this._pending = [];
+    this._loaded = false;
+    this._sending = null;
+
+    this._stream = new ChangeStream(this.model.connection, [], { fullDocument: 'required' }, {
+      collection: this.model.name
+    });
+    this._stream.on('change', event => this._receive(event));
+    this._stream.on('error', error => this._fail(error));
+    // e.g. when the connection closes
+    this._stream.on('close', () => this.close());
+    this._load().catch(error => this._fail(error));
+  }
+
+  // Reads the committed documents, whatever session the caller runs in.
+  // Events of writes made meanwhile are applied afterwards, which is
+  // harmless for those the read already saw.
+  async _load() {
+    const connection = this.model.connection;
+    const docs = await connection._sessionContext.run(null, () => this.model._find(this.conditions));
+    if (this.closed) return;
+    for (const doc of docs) {
+      this._insert(this._entry(doc));
+    }
+    this._loaded = true;
+    for (const event of this._pending.splice(0)) {
+      this._apply(event);
+    }
+    this._send({ initial: true });
+  }
+
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+    clearImmediate(this._sending);
+    await this._stream.close();
+    this.emit('close');
+  }
+
+  // A failure closes the live query. It is emitted as 'error' when someone
+  // listens, and kept in `error`.
+  _fail(error) {
+    if (this.closed) return;
+    this.error = error;
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+    this.close();
+  }
+
+  // === Applying Changes ===
+  _receive(event) {
+    if (this.closed) return;
+    if (!this._loaded) {
+      this._pending.push(event);
+      return;
+    }
+    this._apply(event);
+    if (!this._sending) {
+      this._sending = setImmediate(() => {
+        this._sending = null;
+        if (!this.closed) this._send();
+      });
+    }
+  }
+
+  _apply(event) {
+    switch (event.operationType) {
+      case 'insert':
+      case 'update':
+      case 'replace': {
+        const id = String(event.documentKey._id);
+        const existing = this._remove(id);
+        const doc = this.model._matchStored(event.fullDocument, this.conditions);
+        if (doc) {
+          this._insert(this._entry(doc, existing ? existing.position : undefined));
+        }
+        this._touched.add(id);
+        break;
+      }
+      case 'delete':
+        this._remove(String(event.documentKey._id));
+        break;
+      default:
+        // drop, rename or dropDatabase: the collection is gone
+        this._matched = [];
+        this._byId.clear();
+    }
+  }
+
+  _entry(doc, position = this._positions++) {
+    return { id: String(doc._id), doc, position, result: null };
+  }
+
+  // Inserts after the entries that sort equally or before
+  _insert(entry) {
+    let low = 0;
+    let high = this._matched.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this._compare(this._matched[middle], entry) <= 0) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    this._matched.splice(low, 0, entry);
+    this._byId.set(entry.id, entry);
+  }
+
+  _remove(id) {
+    const entry = this._byId.get(id);
+    if (!entry) return null;
+    this._matched.splice(this._matched.indexOf(entry), 1);
+    this._byId.delete(id);
+    return entry;
+  }
+
+  _compare(a, b) {
+    return this.query._compare(a.doc, b.doc) || a.position - b.position;
+  }
+
+  // === Sending Results ===
+  // Sends the results if they differ from the ones last sent
+  _send(options = {}) {
+    const skip = this.query._skip || 0;
+    const results = this.query._limit
+      ? this._matched.slice(skip, skip + this.query._limit)
+      : this._matched.slice(skip);
+    const previous = this._results;
+    const before = new Map(previous.map((entry, index) => [entry.id, index]));
+    const after = new Map(results.map((entry, index) => [entry.id, index]));
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+    const moved = [];
+    previous.forEach((entry, index) => {
+      if (!after.has(entry.id)) removed.push({ doc: this._present(entry), index });
+    });
+    // Positions among the documents in both results, which only change for
+    // the documents written
+    const keptBefore = new Map(previous.filter(entry => after.has(entry.id)).map((entry, index) => [entry.id, index]));
+    const keptAfter = new Map(results.filter(entry => before.has(entry.id)).map((entry, index) => [entry.id, index]));
+    results.forEach((entry, index) => {
+      if (!before.has(entry.id)) {
+        added.push({ doc: this._present(entry), index });
+        return;
+      }
+      if (!this._touched.has(entry.id)) return;
+      if (!isEqual(previous[before.get(entry.id)].doc, entry.doc)) {
+        changed.push({ doc: this._present(entry), index });
+      }
+      if (keptBefore.get(entry.id) !== keptAfter.get(entry.id)) {
+        moved.push({ doc: this._present(entry), from: before.get(entry.id), to: index });
+      }
+    });
+
+    this._touched.clear();
+    this._results = results;
+    this.docs = results.map(entry => this._present(entry));
+    if (!options.initial && added.length + removed.length + changed.length + moved.length === 0) return;
+    this.emit('change', { docs: this.docs, added, removed, changed, moved });
+  }
+
+  // A document as exec() would resolve to it, made once per version
+  _present(entry) {
+    if (!entry.result) {
+      const doc = cloneDeep(entry.doc);
+      if (this.query._lean) {
+        entry.result = this.model._applyGetters(doc);
+      } else {
+        const document = new Document(doc, this.model.schema, this.model);
+        entry.result = this.query._transform ? this.query._transform(document) : document;
+      }
+    }
+    return entry.result;
+  }
+}
+
+module.exports = { LiveQuery };
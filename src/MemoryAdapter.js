@@ -0,0 +1,114 @@
+const { cloneDeep } = require('lodash');
+const { StorageAdapter } = require('./StorageAdapter.js');
+
+let memoryAdapterCounter = 0;
+
+class MemoryAdapter extends StorageAdapter {
+  // === Core Functionality ===
+  // Keeps every collection in process memory. Documents are copied on the
+  // way in and out, so callers can never mutate stored data by accident.
+  constructor(options = {}) {
+    super();
+    this._id = `memory:${++memoryAdapterCounter}`;
+    this._collections = new Map();
+    this._version = 0;
+
+    if (options.snapshot) {
+      this.restore(options.snapshot);
+    }
+  }
+
+  get id() {
+    return this._id;
+  }
+
+  // === Reading and Writing ===
+  async load(name) {
+    const entry = this._collections.get(name);
+    return entry ? cloneDeep(entry.docs) : [];
+  }
+
+  async persist(name, docs, changes = []) {
+    this._store(name, docs);
+  }
+
+  _store(name, docs) {
+    const existing = this._collections.get(name);
+    const now = new Date();
+    this._collections.set(name, {
+      docs: cloneDeep(docs),
+      size: estimateSize(docs),
+      createdAt: existing ? existing.createdAt : now,
+      modifiedAt: now,
+      version: ++this._version
+    });
+  }
+
+  // === Collection Management ===
+  async list() {
+    return Array.from(this._collections.keys());
+  }
+
+  async drop(name) {
+    return this._collections.delete(name);
+  }
+
+  async rename(from, to, options = {}) {
+    if (!this._collections.has(from)) {
+      throw new Error(`Collection '${from}' does not exist`);
+    }
+    if (this._collections.has(to) && !options.dropTarget) {
+      throw new Error(`Collection '${to}' already exists`);
+    }
+    const entry = this._collections.get(from);
+    this._collections.delete(from);
+    this._collections.set(to, { ...entry, version: ++this._version });
+  }
+
+  async stat(name) {
+    const entry = this._collections.get(name);
+    if (!entry) return null;
+    return {
+      name,
+      path: null,
+      size: entry.size,
+      createdAt: entry.createdAt,
+      modifiedAt: entry.modifiedAt,
+      signature: String(entry.version)
+    };
+  }
+
+  async dropDatabase() {
+    this._collections.clear();
+  }
+
+  // === Snapshots ===
+  // Captures every collection so tests can reset to fixtures instantly.
+  snapshot() {
+    const collections = {};
+    for (const [name, entry] of this._collections) {
+      collections[name] = cloneDeep(entry.docs);
+    }
+    return collections;
+  }
+
+  restore(snapshot = {}) {
+    this._collections.clear();
+    for (const [name, docs] of Object.entries(snapshot)) {
+      this._store(name, docs);
+    }
+    return this;
+  }
+}
+
+function estimateSize(docs) {
+  try {
+    return Buffer.byteLength(JSON.stringify(docs, (key, value) =>
+      typeof value === 'bigint' ? value.toString() : value
+    ));
+  } catch (error) {
+    return 0;
+  }
+}
+
+module.exports = { MemoryAdapter };
@@ -1,11 +1,14 @@
-const { readJSON, writeJSON } = require('./utils.js');
+const { readCollectionFile, writeCollectionFile } = require('./formats.js');
 const { ObjectId } = require('bson');
 const path = require('path');
 const { Query } = require('./Query.js');
 const { Aggregate } = require('./Aggregate.js');
 const { Document } = require('./Document.js');
+const { ChangeStream } = require('./ChangeStream.js');
 const { EventEmitter } = require('events');
-const fs = require('fs-extra');
+const { cloneDeep, isEqual } = require('lodash');
+const { StrictModeError, EncryptionError } = require('./errors.js');
+const { isEncryptedField, encryptField, decryptField, encryptedFieldsEqual } = require('./fieldencryption.js');
 
 class Model {
   // === Core Functionality ===
@@ -13,13 +16,20 @@ class Model {
     this.name = name;
     this.schema = schema;
     this.connection = connection;
-    this.collectionPath = path.join(connection.dbPath, `${name}.json`);
+    if (schema.options.storageFormat) {
+      connection._setStorageFormat(name, schema.options.storageFormat);
+    }
+    if (schema.options.layout) {
+      connection._setLayout(name, schema.options.layout);
+    }
+    if (schema.options.writeConcern) {
+      connection._setWriteConcern(name, schema.options.writeConcern);
+    }
+    this.collectionPath = connection._collectionPath(name);
     this.collection = {
       name: this.name,
       collectionPath: this.collectionPath,
-      async find(conditions = {}) {
-        return readJSON(this.collectionPath);
-      }
+      find: async (conditions = {}) => this._readDocs()
     };
     this.base = connection;
     this.db = connection;
@@ -27,10 +37,14 @@ class Model {
     this.events = new EventEmitter();
     this.modelName = name;
     this.baseModelName = null;
-    this._indexes = new Map();
-    this._searchIndexes = new Map();
+    this._encryptedPaths = new Map();
+    this._queryCiphertexts = new Map();
+    for (const [path, schemaType] of schema._paths) {
+      if (schemaType._encrypt) this._encryptedPaths.set(path, schemaType._encrypt);
+    }
 
-    this._initializeCollection();
+    // Failures (e.g. a lock timeout) resurface on the first real operation
+    this._initializeCollection().catch(() => {});
 
     Object.entries(schema.statics).forEach(([name, fn]) => {
       this[name] = fn.bind(this);
@@ -42,13 +56,12 @@ class Model {
   }
 
   async _initializeCollection() {
-    try {
-      await readJSON(this.collectionPath);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        await writeJSON(this.collectionPath, []);
-      }
-    }
+    // Runs through the write queue so that creating the collection can
+    // never race with (and overwrite) the first documents written to it.
+    await this.connection._createCollection(this.name, {
+      options: catalogOptions(this.schema.options),
+      schemaVersion: this.schema.options.version !== undefined ? this.schema.options.version : null
+    });
   }
 
   async init() {
@@ -56,11 +69,31 @@ class Model {
     return this;
   }
 
-  _getCollection(collectionName) {
+  async _readDocs() {
+    return this.connection._readCollection(this.name);
+  }
+
+  async _mutate(fn) {
+    if (this._encryptedPaths.size === 0) {
+      return this.connection._mutateCollection(this.name, fn);
+    }
+    return this.connection._mutateCollection(this.name, async (docs, changes) => {
+      const result = await fn(docs, changes);
+      this._encryptChanges(docs, changes);
+      return result;
+    });
+  }
+
+  // Runs `fn` in `options.session` when one is given (see ClientSession)
+  _inSession(options, fn) {
+    return options && options.session
+      ? this.connection._runInSession(options.session, fn)
+      : fn();
+  }
+
+  async _getCollection(collectionName) {
     try {
-      const collectionPath = path.join(this.connection.dbPath, `${collectionName}.json`);
-      const data = fs.readFileSync(collectionPath, 'utf8');
-      return JSON.parse(data);
+      return await this.connection._readCollection(collectionName);
     } catch (error) {
       return [];
     }
@@ -90,77 +123,93 @@ class Model {
 
     await this._executeMiddleware('pre', 'save', defaultedData);
 
-    const docs = await readJSON(this.collectionPath);
-    const now = new Date();
-    const newDoc = {
-      _id: new ObjectId().toString(),
-      ...defaultedData,
-      createdAt: now,
-      updatedAt: now,
-      __v: 0
-    };
-
-    docs.push(newDoc);
-    await writeJSON(this.collectionPath, docs);
+    const newDoc = await this._mutate((docs, changes) => {
+      const now = new Date();
+      const doc = {
+        _id: new ObjectId().toString(),
+        ...defaultedData,
+        createdAt: now,
+        updatedAt: now,
+        __v: 0
+      };
+
+      docs.push(doc);
+      changes.push({ op: 'insert', doc });
+      return doc;
+    });
 
     await this._executeMiddleware('post', 'save', newDoc);
 
     return new Document(newDoc, this.schema, this);
   }
 
-  async create(data) {
-    if (Array.isArray(data)) {
-      return Promise.all(data.map(item => this._createOne(item)));
-    }
-    return this._createOne(data);
+  async create(data, options = {}) {
+    return this._inSession(options, () => {
+      if (Array.isArray(data)) {
+        return Promise.all(data.map(item => this._createOne(item)));
+      }
+      return this._createOne(data);
+    });
   }
 
   async updateOne(conditions, update, options = {}) {
-    const docs = await readJSON(this.collectionPath);
-    const index = docs.findIndex(doc => this._matchQuery(doc, conditions));
-
-    if (index !== -1) {
-      const doc = this._applyUpdateOperators(docs[index], update, options);
-      docs[index] = doc; // Ensure the updated document is saved back to the array
-      await writeJSON(this.collectionPath, docs);
-      return { modifiedCount: 1, upsertedCount: 0 };
-    }
+    return this._inSession(options, () => this._mutate((docs, changes) => {
+      const index = docs.findIndex(doc => this._matchesStored(doc, conditions));
+
+      if (index !== -1) {
+        const doc = this._applyUpdateOperators(docs[index], update, options);
+        docs[index] = doc; // Ensure the updated document is saved back to the array
+        // `replace` marks a replaceOne for change streams
+        changes.push({ op: 'update', doc, replace: Boolean(options.overwrite) });
+        return { modifiedCount: 1, upsertedCount: 0 };
+      }
 
-    return { modifiedCount: 0, upsertedCount: 0 };
+      return { modifiedCount: 0, upsertedCount: 0 };
+    }));
   }
 
   async updateMany(conditions, update, options = {}) {
-    const docs = await readJSON(this.collectionPath);
-    let modifiedCount = 0;
-
-    for (let i = 0; i < docs.length; i++) {
-      if (this._matchQuery(docs[i], conditions)) {
-        docs[i] = this._applyUpdateOperators(docs[i], update, options);
-        modifiedCount++;
+    return this._inSession(options, () => this._mutate((docs, changes) => {
+      let modifiedCount = 0;
+
+      for (let i = 0; i < docs.length; i++) {
+        if (this._matchesStored(docs[i], conditions)) {
+          docs[i] = this._applyUpdateOperators(docs[i], update, options);
+          changes.push({ op: 'update', doc: docs[i] });
+          modifiedCount++;
+        }
       }
-    }
 
-    await writeJSON(this.collectionPath, docs);
-    return { modifiedCount, upsertedCount: 0 };
+      return { modifiedCount, upsertedCount: 0 };
+    }));
   }
 
-  async deleteOne(conditions = {}) {
-    const docs = await readJSON(this.collectionPath);
-    const index = docs.findIndex(doc => this._matchQuery(doc, conditions));
-    if (index !== -1) {
-      docs.splice(index, 1);
-      await writeJSON(this.collectionPath, docs);
-      return { deletedCount: 1 };
-    }
+  async deleteOne(conditions = {}, options = {}) {
+    return this._inSession(options, () => this._mutate((docs, changes) => {
+      const index = docs.findIndex(doc => this._matchesStored(doc, conditions));
+      if (index !== -1) {
+        const [doc] = docs.splice(index, 1);
+        changes.push({ op: 'delete', doc });
+        return { deletedCount: 1 };
+      }
 
-    return { deletedCount: 0 };
+      return { deletedCount: 0 };
+    }));
   }
 
-  async deleteMany(conditions = {}) {
-    const docs = await readJSON(this.collectionPath);
-    const remaining = docs.filter(doc => !this._matchQuery(doc, conditions));
-    await writeJSON(this.collectionPath, remaining);
-    return { deletedCount: docs.length - remaining.length };
+  async deleteMany(conditions = {}, options = {}) {
+    return this._inSession(options, () => this._mutate((docs, changes) => {
+      const remaining = [];
+      for (const doc of docs) {
+        if (this._matchesStored(doc, conditions)) {
+          changes.push({ op: 'delete', doc });
+        } else {
+          remaining.push(doc);
+        }
+      }
+      docs.splice(0, docs.length, ...remaining);
+      return { deletedCount: changes.length };
+    }));
   }
 
   async replaceOne(conditions, doc, options = {}) {
@@ -212,6 +261,9 @@ class Model {
     if (options.lean) {
       query.lean();
     }
+    if (options.session) {
+      query.session(options.session);
+    }
     return query;
   }
 
@@ -221,57 +273,73 @@ class Model {
     if (options.lean) {
       query.lean();
     }
+    if (options.session) {
+      query.session(options.session);
+    }
     return query;
   }
 
-  async findById(id) {
-    const docs = await readJSON(this.collectionPath);
-    const doc = docs.find(doc => doc._id === id);
-    return doc ? new Document(doc, this.schema, this) : null;
+  async findById(id, options = {}) {
+    return this._inSession(options, async () => {
+      for await (const doc of this.connection._iterateCollection(this.name, { conditions: { _id: id } })) {
+        if (valuesEqual(doc._id, id)) return this.hydrate(doc);
+      }
+      return null;
+    });
   }
 
-  async findOneAndDelete(conditions) {
-    const doc = await this.findOne(conditions);
-    if (doc) {
-      await this.deleteOne(conditions);
-    }
-    return doc;
+  async findOneAndDelete(conditions, options = {}) {
+    return this._inSession(options, async () => {
+      const doc = await this.findOne(conditions);
+      if (doc) {
+        await this.deleteOne(conditions);
+      }
+      return doc;
+    });
   }
 
   async findOneAndReplace(conditions, replacement, options = {}) {
-    const doc = await this.findOne(conditions);
-    if (doc) {
-      Object.assign(doc, replacement);
-      await doc.save();
-    } else if (options.upsert) {
-      return this.create(replacement);
-    }
-    return doc;
+    return this._inSession(options, async () => {
+      const doc = await this.findOne(conditions);
+      if (doc) {
+        Object.assign(doc, replacement);
+        await doc.save();
+      } else if (options.upsert) {
+        return this.create(replacement);
+      }
+      return doc;
+    });
   }
 
   async findOneAndUpdate(conditions, update, options = {}) {
-    const docs = await readJSON(this.collectionPath);
-    const index = docs.findIndex(doc => this._matchQuery(doc, conditions));
+    return this._inSession(options, async () => {
+      const updated = await this._mutate((docs, changes) => {
+        const index = docs.findIndex(doc => this._matchesStored(doc, conditions));
+        if (index === -1) return null;
+
+        const doc = this._applyUpdateOperators(docs[index], update, options);
+        docs[index] = doc; // Ensure the updated document is saved back to the array
+        changes.push({ op: 'update', doc });
+        return doc;
+      });
 
-    if (index !== -1) {
-      const doc = this._applyUpdateOperators(docs[index], update, options);
-      docs[index] = doc; // Ensure the updated document is saved back to the array
-      await writeJSON(this.collectionPath, docs);
-      return new Document(doc, this.schema, this);
-    } else if (options.upsert) {
-      const newDoc = await this._createOne({ ...conditions, ...update });
-      return newDoc;
-    }
+      if (updated) {
+        return this.hydrate(updated);
+      } else if (options.upsert) {
+        const newDoc = await this._createOne({ ...conditions, ...update });
+        return newDoc;
+      }
 
-    return null;
+      return null;
+    });
   }
 
-  async findByIdAndDelete(id) {
-    return this.findOneAndDelete({ _id: id });
+  async findByIdAndDelete(id, options = {}) {
+    return this.findOneAndDelete({ _id: id }, options);
   }
 
-  async findByIdAndRemove(id) {
-    return this.findOneAndDelete({ _id: id });
+  async findByIdAndRemove(id, options = {}) {
+    return this.findOneAndDelete({ _id: id }, options);
   }
 
   async findByIdAndUpdate(id, update, options = {}) {
@@ -279,71 +347,192 @@ class Model {
   }
 
   // === Index Operations ===
+  // Indexes are recorded in the connection's catalog (see Catalog.js), so
+  // they outlive the process. They describe the collection; queries do not
+  // use them. Indexes are given as [fields, options] pairs or as
+  // { fields, options } (the form schema.indexes() returns).
   async createIndexes(indexes = []) {
-    for (const [fields, options] of indexes) {
-      this._indexes.set(
-        Object.keys(fields).sort().join('_'),
-        { fields, options }
-      );
-    }
+    await this.connection.catalog.update(this.name, entry => {
+      for (const index of indexes.map(toIndexEntry)) {
+        entry.indexes = entry.indexes.filter(existing => existing.name !== index.name).concat(index);
+      }
+    });
     return indexes.length;
   }
 
   async cleanIndexes() {
-    this._indexes.clear();
+    await this.connection.catalog.update(this.name, entry => {
+      entry.indexes = [];
+    });
     return true;
   }
 
   async createSearchIndex(options = {}) {
-    this._searchIndexes.set(options.name || 'default', options);
+    const name = options.name || 'default';
+    await this.connection.catalog.update(this.name, entry => {
+      entry.searchIndexes = entry.searchIndexes.filter(index => index.name !== name).concat({ ...options, name });
+    });
     return true;
   }
 
   async dropSearchIndex(name = 'default') {
-    return this._searchIndexes.delete(name);
+    return this.connection.catalog.update(this.name, entry => {
+      const count = entry.searchIndexes.length;
+      entry.searchIndexes = entry.searchIndexes.filter(index => index.name !== name);
+      return entry.searchIndexes.length < count;
+    });
   }
 
+  // Creates the indexes the schema declares
   async ensureIndexes() {
-    return this.createIndexes(Array.from(this._indexes.values()));
+    return this.createIndexes(this.schema.indexes());
   }
 
+  // Compares the recorded indexes with the ones the schema declares:
+  //   { toDrop: [name], toCreate: [{ name, fields, options }] }
   async diffIndexes() {
+    const current = await this.listIndexes();
+    const declared = this.schema.indexes().map(toIndexEntry);
     return {
-      toDrop: [],
-      toCreate: Array.from(this._indexes.values())
+      toDrop: current.filter(index => !declared.some(other => other.name === index.name)).map(index => index.name),
+      toCreate: declared.filter(index => !current.some(other => isEqual(other, index)))
     };
   }
 
   async listIndexes() {
-    return Array.from(this._indexes.values());
+    const entry = await this.connection.catalog.get(this.name);
+    return entry ? entry.indexes : [];
   }
 
   async listSearchIndexes() {
-    return Array.from(this._searchIndexes.values());
+    const entry = await this.connection.catalog.get(this.name);
+    return entry ? entry.searchIndexes : [];
   }
 
+  // Replaces the recorded indexes with the ones the schema declares
   async syncIndexes() {
-    await this.cleanIndexes();
-    await this.ensureIndexes();
-    return this._indexes.size;
+    const declared = this.schema.indexes().map(toIndexEntry);
+    await this.connection.catalog.update(this.name, entry => {
+      entry.indexes = declared;
+    });
+    return declared.length;
   }
 
   async updateSearchIndex(options = {}) {
     const name = options.name || 'default';
-    if (this._searchIndexes.has(name)) {
-      this._searchIndexes.set(name, {
-        ...this._searchIndexes.get(name),
-        ...options
-      });
+    return this.connection.catalog.update(this.name, entry => {
+      const index = entry.searchIndexes.findIndex(existing => existing.name === name);
+      if (index === -1) return false;
+      entry.searchIndexes[index] = { ...entry.searchIndexes[index], ...options };
       return true;
-    }
-    return false;
+    });
   }
 
   // === Document Operations ===
-  async _find(conditions = {}) {
-    const docs = await readJSON(this.collectionPath);
-    return docs.filter(doc => this._matchQuery(doc, conditions));
+  // Collects the documents matching `conditions`. They are streamed from
+  // storage, so only matches are held in memory, and reading stops once
+  // `options.limit` of them (after `options.skip`) have been found.
+  async _find(conditions = {}, options = {}) {
+    const { skip = 0, limit = null } = options;
+    const docs = [];
+    let skipped = 0;
+    for await (const doc of this._stream(conditions)) {
+      if (skipped < skip) {
+        skipped++;
+        continue;
+      }
+      docs.push(doc);
+      if (limit && docs.length >= limit) break;
+    }
+    return docs;
+  }
+
+  // Yields the hydrated documents matching `conditions` one at a time.
+  // Encrypted paths are matched while still encrypted, and only the
+  // documents that match are decrypted.
+  async *_stream(conditions = {}) {
+    const options = { conditions: this._storageConditions(conditions) };
+    for await (const raw of this.connection._iterateCollection(this.name, options)) {
+      const doc = this._matchStored(raw, conditions);
+      if (doc) yield doc;
+    }
+  }
+
+  // A stored document hydrated, or null when it does not match
+  // `conditions`. Only matches are decrypted.
+  _matchStored(raw, conditions) {
+    const doc = this._hydrateObject(raw, { decrypt: false });
+    return this._matchQuery(doc, conditions) ? this._decryptFields(doc) : null;
+  }
+
+  // Whether a stored document matches `conditions` as reads match it, for
+  // writes that select the documents they change
+  _matchesStored(raw, conditions) {
+    return this._matchQuery(this._hydrateObject(raw, { decrypt: false }), conditions);
+  }
+
+  // Brings a stored document in line with the schema: known paths are cast
+  // to their types, missing paths get their defaults, and unknown fields
+  // are kept, dropped or rejected depending on the `strictRead` schema
+  // option (false, true or 'throw'). Encrypted paths are decrypted unless
+  // `options.decrypt` is false.
+  _hydrateObject(raw, options = {}) {
+    const { decrypt = true } = options;
+    const doc = { ...raw };
+
+    for (const [path, schemaType] of this.schema._paths) {
+      if (doc[path] === undefined) {
+        const defaultValue = schemaType.getDefault();
+        if (defaultValue !== undefined) {
+          doc[path] = cloneDeep(defaultValue);
+        }
+        continue;
+      }
+      if (schemaType._encrypt && isEncryptedField(doc[path])) {
+        continue;
+      }
+      try {
+        doc[path] = schemaType.castValue(doc[path]);
+      } catch (error) {
+        // Values that cannot be cast are returned as stored
+      }
+    }
+
+    const strictRead = this.schema.options.strictRead || false;
+    if (strictRead) {
+      const unknown = Object.keys(doc).filter(key =>
+        !this.schema._paths.has(key) && !HYDRATE_RESERVED_PATHS.includes(key)
+      );
+      if (unknown.length > 0) {
+        if (strictRead === 'throw') {
+          throw new StrictModeError(this.name, unknown, doc._id);
+        }
+        unknown.forEach(key => delete doc[key]);
+      }
+    }
+
+    return decrypt ? this._decryptFields(doc) : doc;
+  }
+
+  // Turns the strings stored in Date paths into Dates, for documents read
+  // from legacy plain JSON without reviving dates (see Connection#migrate)
+  _castDatePaths(doc) {
+    for (const [path, schemaType] of this.schema._paths) {
+      if (schemaType.instance === Date && typeof doc[path] === 'string') {
+        doc[path] = toDate(doc[path]);
+      }
+    }
+    return doc;
+  }
+
+  // Applies schema getters, for results that are not Documents (lean)
+  _applyGetters(doc) {
+    for (const [path, schemaType] of this.schema._paths) {
+      if (doc[path] !== undefined && (schemaType.getters.length > 0 || schemaType.constructor._getters)) {
+        doc[path] = schemaType.applyGetters(doc[path], doc);
+      }
+    }
+    return doc;
   }
 
   _matchQuery(doc, query) {
@@ -359,21 +548,25 @@ class Model {
       if (key === '$nor') {
         return !value.some(condition => this._matchQuery(doc, condition));
       }
+
+      if (this._encryptedPaths.has(key) && isEncryptedField(doc[key])) {
+        return this._matchEncryptedPath(doc[key], key, value);
+      }
   
-      if (value && typeof value === 'object') {
+      if (value && typeof value === 'object' && !(value instanceof ObjectId) && !(value instanceof Date)) {
         return Object.entries(value).every(([operator, operand]) => {
           switch (operator) {
             case '$gt': return doc[key] > operand;
             case '$gte': return doc[key] >= operand;
             case '$lt': return doc[key] < operand;
             case '$lte': return doc[key] <= operand;
-            case '$ne': return doc[key] !== operand;
+            case '$ne': return !valuesEqual(doc[key], operand);
             case '$in':
               const docValue = Array.isArray(doc[key]) ? doc[key] : [doc[key]];
-              return operand.some(item => docValue.includes(item));
+              return operand.some(item => docValue.some(val => valuesEqual(val, item)));
             case '$nin':
               const docVal = Array.isArray(doc[key]) ? doc[key] : [doc[key]];
-              return !operand.some(item => docVal.includes(item));
+              return !operand.some(item => docVal.some(val => valuesEqual(val, item)));
             case '$regex':
               const regex = new RegExp(operand, value.$options);
               return regex.test(doc[key]);
@@ -391,7 +584,135 @@ class Model {
           }
         });
       }
-      return doc[key] === value;
+      return valuesEqual(doc[key], value);
+    });
+  }
+
+  // Conditions storage may use to skip documents: the stored value of an
+  // encrypted path is ciphertext, so conditions on one are left out
+  _storageConditions(conditions) {
+    if (this._encryptedPaths.size === 0) return conditions;
+    const storage = {};
+    for (const [key, value] of Object.entries(conditions)) {
+      if (this._encryptedPaths.has(key)) continue;
+      storage[key] = ['$and', '$or', '$nor'].includes(key)
+        ? value.map(condition => this._storageConditions(condition))
+        : value;
+    }
+    return storage;
+  }
+
+  // === Field Encryption ===
+  // Paths declared with `encrypt` are stored as ciphertext (see
+  // fieldencryption.js) under the connection's `fieldEncryptionKey`.
+  // Documents are encrypted on their way to storage and decrypted on
+  // hydration, so everything in between works on plaintext. Values stored
+  // before a path was encrypted are read as they are and encrypted the next
+  // time their document is written.
+  _fieldEncryptionKey(path) {
+    const key = this.connection._fieldEncryptionKey;
+    if (!key) {
+      throw new EncryptionError(`Path '${path}' of ${this.name} is encrypted but no fieldEncryptionKey was given`, 'ENOKEY', path);
+    }
+    return key;
+  }
+
+  // Copy of `doc` with its encrypted paths encrypted (`doc` itself if there
+  // is nothing to encrypt)
+  _encryptFields(doc) {
+    let encrypted = doc;
+    for (const [path, mode] of this._encryptedPaths) {
+      const value = doc[path];
+      if (value == null || isEncryptedField(value)) continue;
+      if (encrypted === doc) encrypted = { ...doc };
+      encrypted[path] = encryptField(value, this._fieldEncryptionKey(path), {
+        path,
+        deterministic: mode === 'deterministic'
+      });
+    }
+    return encrypted;
+  }
+
+  _decryptFields(doc) {
+    for (const [path] of this._encryptedPaths) {
+      if (!isEncryptedField(doc[path])) continue;
+      const key = this.connection._fieldEncryptionKey;
+      const value = decryptField(doc[path], key ? [key] : [], path);
+      try {
+        doc[path] = this.schema._paths.get(path).castValue(value);
+      } catch (error) {
+        doc[path] = value;
+      }
+    }
+    return doc;
+  }
+
+  // Swaps the inserted and updated documents of a change list for encrypted
+  // copies, leaving the plaintext objects handed back to callers untouched
+  _encryptChanges(docs, changes) {
+    const written = changes.filter(change => change.op !== 'delete');
+    if (written.length === 0) return;
+    const positions = new Map(docs.map((doc, index) => [doc, index]));
+    for (const change of written) {
+      const encrypted = this._encryptFields(change.doc);
+      if (encrypted === change.doc) continue;
+      const index = positions.get(change.doc);
+      if (index !== undefined) docs[index] = encrypted;
+      change.doc = encrypted;
+    }
+  }
+
+  // Deterministic ciphertext of a query operand, cast to the path's type
+  // first so that it encrypts to the same bytes as the stored value
+  _encryptQueryValue(path, value) {
+    try {
+      value = this.schema._paths.get(path).castValue(value);
+    } catch (error) {
+      // Compared as given
+    }
+    const cacheable = value === null || typeof value !== 'object' ||
+      value instanceof Date || value instanceof ObjectId;
+    const cacheKey = cacheable
+      ? `${path}\0${typeof value}\0${value instanceof Date ? value.getTime() : String(value)}`
+      : null;
+    if (cacheKey && this._queryCiphertexts.has(cacheKey)) {
+      return this._queryCiphertexts.get(cacheKey);
+    }
+
+    const encrypted = encryptField(value, this._fieldEncryptionKey(path), { path, deterministic: true });
+    if (cacheKey) {
+      if (this._queryCiphertexts.size >= QUERY_CIPHERTEXT_CACHE_SIZE) this._queryCiphertexts.clear();
+      this._queryCiphertexts.set(cacheKey, encrypted);
+    }
+    return encrypted;
+  }
+
+  // Only equality can be matched on an encrypted path, and only when it is
+  // encrypted deterministically
+  _matchEncryptedPath(stored, path, condition) {
+    if (this._encryptedPaths.get(path) !== 'deterministic') {
+      throw new Error(`Cannot query path '${path}' of ${this.name}: it uses randomized encryption`);
+    }
+    const equals = operand => operand != null &&
+      encryptedFieldsEqual(stored, this._encryptQueryValue(path, operand));
+
+    const isOperatorObject = condition && typeof condition === 'object' &&
+      Object.getPrototypeOf(condition) === Object.prototype &&
+      Object.keys(condition).some(key => key.startsWith('$'));
+    if (!isOperatorObject) {
+      return equals(condition);
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$eq': return equals(operand);
+        case '$ne': return !equals(operand);
+        case '$in': return operand.some(equals);
+        case '$nin': return !operand.some(equals);
+        case '$exists': return Boolean(operand);
+        default:
+          throw new Error(`Operator ${operator} is not supported on encrypted path '${path}' of ${this.name}`);
+      }
     });
   }
 
@@ -540,66 +861,79 @@ class Model {
   }
 
   // === Backup Operations ===
+  // Backups are stored through the connection's storage adapter as
+  // collections named `<model>_backup_<timestamp>`, recorded in the catalog
+  // as backups of the model (so they are not listed as collections).
+  // Passing an explicit path exports to (or restores from) a standalone
+  // JSON file instead.
+  _backupPrefix() {
+    return `${this.name}_backup_`;
+  }
+
   async backup(backupPath) {
-    const defaultBackupPath = path.join(
-      path.dirname(this.collectionPath),
-      `${this.name}_backup_${new Date().toISOString().replace(/:/g, '-')}.json`
-    );
+    const docs = await this._readDocs();
+
+    // The file extension picks the format (.json, .ndjson, .bson) and the
+    // compression (.gz, .br)
+    if (backupPath) {
+      await writeCollectionFile(backupPath, docs, this.connection._fileOptions());
+      return backupPath;
+    }
 
-    const docs = await readJSON(this.collectionPath);
-    await writeJSON(backupPath || defaultBackupPath, docs);
-    return backupPath || defaultBackupPath;
+    const backupName = `${this._backupPrefix()}${new Date().toISOString().replace(/:/g, '-')}`;
+    if (this.schema.options.storageFormat) {
+      this.connection._setStorageFormat(backupName, this.schema.options.storageFormat);
+    }
+    if (this.schema.options.layout) {
+      this.connection._setLayout(backupName, this.schema.options.layout);
+    }
+    await this.connection._createCollection(backupName, { type: 'backup', source: this.name });
+    await this.connection._replaceCollection(backupName, docs);
+    const stats = await this.connection.storage.stat(backupName);
+    return (stats && stats.path) || backupName;
   }
 
   async restore(backupPath) {
-    if (!backupPath) {
-      // Find the most recent backup file if no path is provided
-      const backupDir = path.dirname(this.collectionPath);
-      const backupFiles = await fs.readdir(backupDir);
-      const modelBackupFiles = backupFiles.filter(file =>
-        file.startsWith(`${this.name}_backup_`) && file.endsWith('.json')
-      );
+    const backups = await this.listBackups();
+    let backup;
 
-      if (modelBackupFiles.length === 0) {
+    if (!backupPath) {
+      if (backups.length === 0) {
         throw new Error(`No backup files found for model: ${this.name}`);
       }
-
-      // Sort backup files and get the most recent one
-      const mostRecentBackup = modelBackupFiles.sort().reverse()[0];
-      backupPath = path.join(backupDir, mostRecentBackup);
+      // Sort backup names and get the most recent one
+      backup = [...backups].sort((a, b) => a.name.localeCompare(b.name)).reverse()[0];
+    } else {
+      backup = backups.find(b => [b.path, b.filename, b.name].includes(backupPath));
     }
 
-    const backupDocs = await readJSON(backupPath);
-    await writeJSON(this.collectionPath, backupDocs);
-    return backupPath;
+    const backupDocs = backup
+      ? await this.connection._readCollection(backup.name)
+      : await readCollectionFile(backupPath, this.connection._fileOptions());
+
+    await this.connection._replaceCollection(this.name, backupDocs);
+    return backup ? (backup.path || backup.name) : backupPath;
   }
 
   async listBackups() {
     try {
-      const backupDir = path.dirname(this.collectionPath);
-      const backupFiles = await fs.readdir(backupDir);
-
-      // Filter backup files for this specific model
-      const modelBackups = backupFiles
-        .filter(file =>
-          file.startsWith(`${this.name}_backup_`) &&
-          file.endsWith('.json')
-        )
-        .map(filename => {
-          const fullPath = path.join(backupDir, filename);
-          const stats = fs.statSync(fullPath);
-
-          return {
-            filename,
-            path: fullPath,
-            createdAt: stats.birthtime,
-            size: stats.size // in bytes
-          };
-        })
-        // Sort from most recent to oldest
-        .sort((a, b) => b.createdAt - a.createdAt);
-
-      return modelBackups;
+      const entries = await this.connection.catalog.list({ type: 'backup', source: this.name });
+
+      const modelBackups = [];
+      for (const { name } of entries) {
+        const stats = await this.connection.storage.stat(name);
+        if (!stats) continue;
+        modelBackups.push({
+          name,
+          filename: stats.path ? path.basename(stats.path) : name,
+          path: stats.path,
+          createdAt: stats.createdAt,
+          size: stats.size // in bytes
+        });
+      }
+
+      // Sort from most recent to oldest
+      return modelBackups.sort((a, b) => b.createdAt - a.createdAt);
     } catch (error) {
       console.error('Error listing backups:', error);
       return [];
@@ -611,19 +945,21 @@ class Model {
 
     if (backedupFileName) {
       // Find and delete specific backup
-      const backupToDelete = backups.find(backup => backup.filename === backedupFileName);
+      const backupToDelete = backups.find(backup =>
+        backup.filename === backedupFileName || backup.name === backedupFileName
+      );
 
       if (!backupToDelete) {
         throw new Error(`Backup file '${backedupFileName}' not found`);
       }
 
-      await fs.unlink(backupToDelete.path);
+      await this.connection.dropCollection(backupToDelete.name);
       return [backupToDelete];
     }
 
     // Delete all backup files by default
     for (const backup of backups) {
-      await fs.unlink(backup.path);
+      await this.connection.dropCollection(backup.name);
     }
 
     return [];
@@ -675,7 +1011,12 @@ class Model {
   }
 
   async bulkWrite(operations, options = {}) {
-    const docs = await readJSON(this.collectionPath);
+    return this._inSession(options, () =>
+      this._mutate((docs, changes) => this._applyBulkWrite(docs, changes, operations))
+    );
+  }
+
+  async _applyBulkWrite(docs, changes, operations) {
     let nModified = 0;
     let nInserted = 0;
     let nUpserted = 0;
@@ -687,14 +1028,16 @@ class Model {
         this.applyTimestamps(doc);
         doc._id = new ObjectId().toString();
         docs.push(doc);
+        changes.push({ op: 'insert', doc });
         nInserted++;
       } else if (op.updateOne) {
         const index = docs.findIndex(doc =>
-          this._matchQuery(doc, op.updateOne.filter)
+          this._matchesStored(doc, op.updateOne.filter)
         );
         if (index !== -1) {
           Object.assign(docs[index], op.updateOne.update);
           this.applyTimestamps(docs[index]);
+          changes.push({ op: 'update', doc: docs[index] });
           nModified++;
         } else if (op.updateOne.upsert) {
           const doc = await this.applyDefaults({
@@ -704,20 +1047,21 @@ class Model {
           this.applyTimestamps(doc);
           doc._id = new ObjectId().toString();
           docs.push(doc);
+          changes.push({ op: 'insert', doc });
           nUpserted++;
         }
       } else if (op.deleteOne) {
         const index = docs.findIndex(doc =>
-          this._matchQuery(doc, op.deleteOne.filter)
+          this._matchesStored(doc, op.deleteOne.filter)
         );
         if (index !== -1) {
-          docs.splice(index, 1);
+          const [doc] = docs.splice(index, 1);
+          changes.push({ op: 'delete', doc });
           nRemoved++;
         }
       }
     }
 
-    await writeJSON(this.collectionPath, docs);
     return { nModified, nInserted, nUpserted, nRemoved };
   }
 
@@ -734,9 +1078,20 @@ class Model {
     return castedObj;
   }
 
+  async compact() {
+    return this.connection.compact(this.name);
+  }
+
+  // Writes batched changes to storage (see the `writeConcern` option)
+  async flush() {
+    return this.connection.flush(this.name);
+  }
+
   async countDocuments(conditions = {}) {
-    const docs = await this._find(conditions);
-    return docs.length;
+    let count = 0;
+    const docs = this._stream(conditions);
+    while (!(await docs.next()).done) count++;
+    return count;
   }
 
   async createCollection() {
@@ -753,13 +1108,24 @@ class Model {
   }
 
   async distinct(field, conditions = {}) {
-    const docs = await this._find(conditions);
-    return [...new Set(docs.map(doc => doc[field]))];
+    const values = new Map();
+    for await (const doc of this._stream(conditions)) {
+      const value = doc[field];
+      const key = value instanceof ObjectId || value instanceof Date ? `${value.constructor.name}:${value.toString()}` : value;
+      if (!values.has(key)) values.set(key, value);
+    }
+    return Array.from(values.values());
   }
 
+  // The count the catalog recorded at the last write, without reading the
+  // collection (counted when the catalog has none, or while batched writes
+  // are pending)
   async estimatedDocumentCount() {
-    const docs = await readJSON(this.collectionPath);
-    return docs.length;
+    if (this.connection._hasPendingWrites(this.name)) {
+      return this.countDocuments();
+    }
+    const count = await this.connection.catalog.count(this.name);
+    return count !== null ? count : this.countDocuments();
   }
 
   async exists(conditions) {
@@ -768,7 +1134,7 @@ class Model {
   }
 
   hydrate(obj) {
-    return new Document(obj, this.schema, this);
+    return new Document(this._hydrateObject(obj), this.schema, this);
   }
 
   async insertMany(docs, options = {}) {
@@ -789,30 +1155,28 @@ class Model {
   }
 
   async increment(conditions, field, amount = 1) {
-    const docs = await readJSON(this.collectionPath);
-    let modifiedCount = 0;
-
-    for (const doc of docs) {
-      if (this._matchQuery(doc, conditions)) {
-        // Initialize field if it doesn't exist
-        if (typeof doc[field] !== 'number') {
-          doc[field] = 0;
+    return this._mutate((docs, changes) => {
+      let modifiedCount = 0;
+
+      for (const doc of docs) {
+        if (this._matchesStored(doc, conditions)) {
+          // Initialize field if it doesn't exist
+          if (typeof doc[field] !== 'number') {
+            doc[field] = 0;
+          }
+          doc[field] += amount;
+          doc.updatedAt = new Date();
+          changes.push({ op: 'update', doc });
+          modifiedCount++;
         }
-        doc[field] += amount;
-        doc.updatedAt = new Date();
-        modifiedCount++;
       }
-    }
 
-    if (modifiedCount > 0) {
-      await writeJSON(this.collectionPath, docs);
-    }
-
-    return { modifiedCount };
+      return { modifiedCount };
+    });
   }
 
-  async startSession() {
-    throw new Error('Sessions are not supported in file-based storage');
+  async startSession(options = {}) {
+    return this.connection.startSession(options);
   }
 
   translateAliases(raw) {
@@ -830,8 +1194,23 @@ class Model {
     return this.schema.validate(obj);
   }
 
-  watch() {
-    throw new Error('Watch is not supported in file-based storage');
+  // Opens a change stream on this model's collection, see ChangeStream.
+  // Encrypted paths are decrypted in the events.
+  watch(pipeline = [], options = {}) {
+    return new ChangeStream(this.connection, pipeline, options, {
+      collection: this.name,
+      transform: this._encryptedPaths.size > 0 ? change => this._decryptChange(change) : null
+    });
+  }
+
+  _decryptChange(change) {
+    if (change.fullDocument) {
+      this._decryptFields(change.fullDocument);
+    }
+    if (change.updateDescription) {
+      this._decryptFields(change.updateDescription.updatedFields);
+    }
+    return change;
   }
 
   where(path) {
@@ -903,4 +1282,47 @@ class Model {
   }
 }
 
+// Fields every stored document may carry, whatever its schema says
+const HYDRATE_RESERVED_PATHS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Query operands whose ciphertext is kept for encrypted-path matching
+const QUERY_CIPHERTEXT_CACHE_SIZE = 1000;
+
+// Equality used by queries: ObjectIds match their hex strings and Dates
+// match by time, so cast documents still match plain query values.
+// Strings that are not dates are left as they are
+function toDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? value : date;
+}
+
+function valuesEqual(a, b) {
+  if (a instanceof ObjectId || b instanceof ObjectId) {
+    return a != null && b != null && a.toString() === b.toString();
+  }
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  return a === b;
+}
+
+// Catalog form of an index given as [fields, options] or { fields, options },
+// named after its fields unless `options.name` says otherwise
+function toIndexEntry(index) {
+  const [fields, options = {}] = Array.isArray(index) ? index : [index.fields, index.options];
+  return { name: options.name || Object.keys(fields).sort().join('_'), fields, options };
+}
+
+// Schema options recorded in the catalog: the plain values among them
+// (storageFormat, layout, timestamps...), not functions or nested objects
+function catalogOptions(options) {
+  const recorded = {};
+  for (const [key, value] of Object.entries(options)) {
+    if (key !== 'version' && ['string', 'number', 'boolean'].includes(typeof value)) {
+      recorded[key] = value;
+    }
+  }
+  return recorded;
+}
+
 module.exports = { Model };
\ No newline at end of file
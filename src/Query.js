@@ -1,6 +1,7 @@
 const { validateType } = require('./utils.js');
 const { QueryBuilder } = require('./QueryBuilder.js');
 const { Document } = require('./Document.js');
+const { LiveQuery } = require('./LiveQuery.js');
 
 class Query {
   // === Core Functionality ===
@@ -40,27 +41,33 @@ class Query {
       throw this._error;
     }
 
-    let docs = await this.model._find(this._conditions || this.conditions);
-    
-    if (Object.keys(this._sort).length > 0) {
-      docs.sort((a, b) => {
-        for (const [field, order] of Object.entries(this._sort)) {
-          if (a[field] < b[field]) return -1 * order;
-          if (a[field] > b[field]) return 1 * order;
-        }
-        return 0;
-      });
+    // Runs again inside the session given with session()
+    const connection = this.model.connection;
+    if (this._session && connection._activeSession() !== this._session) {
+      return connection._runInSession(this._session, () => this.exec());
     }
 
-    if (this._skip) {
-      docs = docs.slice(this._skip);
-    }
-    
-    if (this._limit) {
-      docs = docs.slice(0, this._limit);
+    const conditions = this._conditions || this.conditions;
+    let docs;
+
+    if (Object.keys(this._sort).length > 0) {
+      docs = await this.model._find(conditions);
+      docs.sort((a, b) => this._compare(a, b));
+
+      if (this._skip) {
+        docs = docs.slice(this._skip);
+      }
+
+      if (this._limit) {
+        docs = docs.slice(0, this._limit);
+      }
+    } else {
+      // Without a sort, skip and limit are applied while streaming
+      docs = await this.model._find(conditions, { skip: this._skip || 0, limit: this._limit });
     }
 
     if (this._lean) {
+      docs = docs.map(doc => this.model._applyGetters(doc));
       return this._limit === 1 ? docs[0] : docs;
     }
 
@@ -79,6 +86,21 @@ class Query {
     return this._limit === 1 ? documents[0] : documents;
   }
 
+  // Order of two documents under sort()
+  _compare(a, b) {
+    for (const [field, order] of Object.entries(this._sort)) {
+      if (a[field] < b[field]) return -1 * order;
+      if (a[field] > b[field]) return 1 * order;
+    }
+    return 0;
+  }
+
+  // Subscribes to the results of the query, which are sent again whenever
+  // a write changes them, see LiveQuery
+  live() {
+    return new LiveQuery(this);
+  }
+
   clone() {
     const clone = new Query(this.model);
     clone.conditions = { ...this.conditions };
@@ -120,12 +142,12 @@ class Query {
   }
 
   async findOne(conditions = {}) {
-    const docs = await this.model._find({ ...this.conditions, ...conditions });
+    const docs = await this.model._find({ ...this.conditions, ...conditions }, { limit: 1 });
     return docs[0] ? new Document(docs[0], this.model.schema, this.model) : null;
   }
 
   async findById(id) {
-    const docs = await this.model._find({ _id: id });
+    const docs = await this.model._find({ _id: id }, { limit: 1 });
     return docs[0] ? new Document(docs[0], this.model.schema, this.model) : null;
   }
 
@@ -172,7 +194,7 @@ class Query {
   }
 
   async deleteOne(conditions = {}) {
-    const docs = await this.model._find({ ...this.conditions, ...conditions });
+    const docs = await this.model._find({ ...this.conditions, ...conditions }, { limit: 1 });
     if (docs.length > 0) {
       await this.model.deleteMany({ _id: docs[0]._id });
       return { deletedCount: 1 };
@@ -763,13 +785,11 @@ class Query {
 
   // === Additional Methods ===
   async countDocuments(conditions = {}) {
-    const docs = await this.model._find({ ...this.conditions, ...conditions });
-    return docs.length;
+    return this.model.countDocuments({ ...this.conditions, ...conditions });
   }
 
   async distinct(field) {
-    const docs = await this.model._find(this.conditions);
-    return [...new Set(docs.map(doc => doc[field]))];
+    return this.model.distinct(field, this.conditions);
   }
 
   async estimatedDocumentCount() {
@@ -814,7 +834,7 @@ class Query {
   }
 
   async deleteOne(conditions = {}) {
-    const docs = await this.model._find({ ...this.conditions, ...conditions });
+    const docs = await this.model._find({ ...this.conditions, ...conditions }, { limit: 1 });
     if (docs.length > 0) {
       await this.model.deleteMany({ _id: docs[0]._id });
       return { deletedCount: 1 };
@@ -1405,13 +1425,11 @@ class Query {
 
   // === Additional Methods ===
   async countDocuments(conditions = {}) {
-    const docs = await this.model._find({ ...this.conditions, ...conditions });
-    return docs.length;
+    return this.model.countDocuments({ ...this.conditions, ...conditions });
   }
 
   async distinct(field) {
-    const docs = await this.model._find(this.conditions);
-    return [...new Set(docs.map(doc => doc[field]))];
+    return this.model.distinct(field, this.conditions);
   }
 
   async estimatedDocumentCount() {
@@ -1,3 +1,5 @@
+const { ObjectId, Decimal128, Binary } = require('bson');
+
 class SchemaType {
   // === Core Functionality ===
   constructor(path, options = {}, instance) {
@@ -15,6 +17,7 @@ class SchemaType {
     this._text = false;
     this._unique = false;
     this._immutable = false;
+    this._encrypt = null;
     this._embedded = null;
 
     this._enum = null;
@@ -70,6 +73,10 @@ class SchemaType {
       this.immutable(options.immutable);
     }
 
+    if (options.encrypt) {
+      this.encrypt(options.encrypt);
+    }
+
     if (options.sparse) {
       this.sparse(options.sparse);
     }
@@ -201,6 +208,72 @@ class SchemaType {
     return value;
   }
 
+  // Converts a stored value to the path's type without validating it or
+  // running setters, when hydrating documents (`cast` is what writes use).
+  // Stricter than `cast`: throws if the value cannot be represented in the
+  // path's type, and hydration then keeps it as stored.
+  castValue(val) {
+    if (val == null) {
+      return val;
+    }
+
+    if (this._isArray) {
+      if (!Array.isArray(val)) return val;
+      return this._arrayType instanceof SchemaType
+        ? val.map(item => this._arrayType.castValue(item))
+        : val;
+    }
+
+    switch (this.instance) {
+      case String:
+        // Legacy files revive ISO strings as Dates, so turn them back
+        if (val instanceof Date) return val.toISOString();
+        if (typeof val === 'object' && !(val instanceof ObjectId)) {
+          throw new Error(`Cannot cast ${typeof val} to String for ${this.path}`);
+        }
+        return String(val);
+      case Number: {
+        const num = typeof val === 'bigint' || val instanceof Decimal128 ? Number(val.toString()) : Number(val);
+        if (Number.isNaN(num) || (typeof val === 'object' && !(val instanceof Decimal128))) {
+          throw new Error(`Cannot cast ${val} to Number for ${this.path}`);
+        }
+        return num;
+      }
+      case Date: {
+        const date = val instanceof Date ? val : new Date(val);
+        if (Number.isNaN(date.getTime())) {
+          throw new Error(`Cannot cast ${val} to Date for ${this.path}`);
+        }
+        return date;
+      }
+      case Boolean:
+        if (BOOLEAN_TRUE.includes(val)) return true;
+        if (BOOLEAN_FALSE.includes(val)) return false;
+        throw new Error(`Cannot cast ${val} to Boolean for ${this.path}`);
+      case ObjectId:
+        if (val instanceof ObjectId) return val;
+        if (typeof val === 'string' && /^[0-9a-fA-F]{24}$/.test(val)) return new ObjectId(val);
+        throw new Error(`Cannot cast ${val} to ObjectId for ${this.path}`);
+      case Decimal128:
+        return val instanceof Decimal128 ? val : Decimal128.fromString(String(val));
+      case Buffer:
+        if (Buffer.isBuffer(val)) return val;
+        if (val instanceof Binary) return Buffer.from(val.buffer);
+        // Buffers written with plain JSON.stringify
+        if (val.type === 'Buffer' && Array.isArray(val.data)) return Buffer.from(val.data);
+        if (typeof val === 'string' || Array.isArray(val)) return Buffer.from(val);
+        throw new Error(`Cannot cast ${typeof val} to Buffer for ${this.path}`);
+      case BigInt:
+        return typeof val === 'bigint' ? val : BigInt(val);
+      case Map:
+        if (val instanceof Map) return val;
+        if (typeof val === 'object' && !Array.isArray(val)) return new Map(Object.entries(val));
+        throw new Error(`Cannot cast ${typeof val} to Map for ${this.path}`);
+      default:
+        return val;
+    }
+  }
+
   _castArrayItem(item) {
     if (this._arrayType instanceof SchemaType) {
       return this._arrayType.cast(item);
@@ -450,6 +523,17 @@ class SchemaType {
     return this;
   }
 
+  // Stores the path encrypted: 'deterministic' (the default for `true`)
+  // still matches equality queries, 'randomized' never does
+  encrypt(mode = true) {
+    if (mode === true) mode = 'deterministic';
+    if (mode && !FIELD_ENCRYPTION_MODES.includes(mode)) {
+      throw new Error(`Invalid encrypt option for '${this.path}': expected true, ${FIELD_ENCRYPTION_MODES.map(m => `'${m}'`).join(' or ')}`);
+    }
+    this._encrypt = mode || null;
+    return this;
+  }
+
   ref(ref) {
     this._ref = ref;
     return this;
@@ -476,6 +560,20 @@ class SchemaType {
     return this;
   }
 
+  // Runs static and instance getters, e.g. when reading a document path
+  applyGetters(value, doc) {
+    let result = value;
+    if (this.constructor._getters) {
+      for (const getter of this.constructor._getters) {
+        result = getter.call(doc, result);
+      }
+    }
+    for (const getter of this.getters) {
+      result = getter.call(doc, result);
+    }
+    return result;
+  }
+
   getDefault() {
     if (typeof this._default === 'function') {
       return this._default();
@@ -555,4 +653,8 @@ class SchemaType {
   }
 }
 
+const FIELD_ENCRYPTION_MODES = ['deterministic', 'randomized'];
+const BOOLEAN_TRUE = [true, 'true', 1, '1', 'yes'];
+const BOOLEAN_FALSE = [false, 'false', 0, '0', 'no'];
+
 module.exports = { SchemaType };
\ No newline at end of file
@@ -0,0 +1,91 @@
+class StorageAdapter {
+  // === Adapter Contract ===
+  // A storage adapter persists whole collections (arrays of plain documents)
+  // by name. `Connection` serializes writes per collection before calling
+  // into the adapter, so adapters never see two overlapping writes to the
+  // same collection from one process.
+  //
+  // Required: load, persist, list, drop, rename, stat.
+  // Optional: open, create, lock, compact, dropDatabase, migrate, setFormat,
+  // setLayout, verify, repair, iterate (an async generator streaming the documents of
+  // a collection, used instead of load for reads when present; it may skip
+  // documents that cannot match `options.conditions`, but must not rely on
+  // it to filter), and the commit log methods writeCommitLog(id, log),
+  // readCommitLog(id), removeCommitLog(id) and listCommitLogs(), which make
+  // transactions survive a crash mid-commit, appendChangeLog(events,
+  // { keep }), readChangeLog() and rewriteChangeLog() (after a change of
+  // key), which let change streams resume after a restart, and
+  // watch(listener), which reports changes to the stored data
+  // sooner than the `watchFiles` timer (see JSONFileAdapter).
+
+  // Unique identity of the underlying store. Connections whose adapters
+  // report the same id share one write queue per collection.
+  get id() {
+    throw new Error(`${this.constructor.name} must implement id`);
+  }
+
+  // Prepares the store (create directories, clean up after crashes...).
+  open() {}
+
+  // Resolves to the documents of a collection, or [] if it does not exist.
+  async load(name) {
+    throw new Error(`${this.constructor.name} must implement load()`);
+  }
+
+  // Stores the full document list of a collection. `changes` lists the
+  // operations ({ op: 'insert' | 'update' | 'delete', doc }) that produced
+  // `docs`; adapters may use it to write incrementally.
+  async persist(name, docs, changes = []) {
+    throw new Error(`${this.constructor.name} must implement persist()`);
+  }
+
+  // Resolves to the names of all stored collections.
+  async list() {
+    throw new Error(`${this.constructor.name} must implement list()`);
+  }
+
+  // Removes a collection. Resolves to false if it did not exist.
+  async drop(name) {
+    throw new Error(`${this.constructor.name} must implement drop()`);
+  }
+
+  // Renames a collection. Fails if `to` exists unless `dropTarget` is set.
+  async rename(from, to, options = {}) {
+    throw new Error(`${this.constructor.name} must implement rename()`);
+  }
+
+  // Resolves to null if the collection does not exist, otherwise to
+  // { name, path, size, createdAt, modifiedAt, signature }. `signature`
+  // must change whenever the stored data changes (used for caching).
+  async stat(name) {
+    throw new Error(`${this.constructor.name} must implement stat()`);
+  }
+
+  // Creates an empty collection unless it already exists.
+  async create(name) {
+    if (!(await this.stat(name))) {
+      await this.persist(name, []);
+    }
+  }
+
+  // Runs `fn` while holding an exclusive lock on the collection. Adapters
+  // shared between processes should override this.
+  async lock(name, fn) {
+    return fn();
+  }
+
+  // Reorganizes the stored data of a collection. Resolves to true if
+  // anything was rewritten.
+  async compact(name) {
+    return false;
+  }
+
+  // Removes every collection.
+  async dropDatabase() {
+    for (const name of await this.list()) {
+      await this.drop(name);
+    }
+  }
+}
+
+module.exports = { StorageAdapter };
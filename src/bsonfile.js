@@ -0,0 +1,318 @@
+const fs = require('fs-extra');
+const { BSON, BSONRegExp, Binary } = require('bson');
+const {
+  writeFileAtomic,
+  encodeFileData,
+  openDecodedReadStream,
+  appendFileData,
+  readFileSalvaged,
+  readChecksum
+} = require('./utils.js');
+const { hasEncryptionHeader } = require('./encryption.js');
+const { IntegrityError } = require('./errors.js');
+
+// A BSON collection file is a plain sequence of BSON documents, each
+// starting with its little-endian int32 byte length: the layout `mongodump`
+// writes to `<collection>.bson`, so files can be moved in either direction.
+// The length prefix lets readers skip documents without decoding them. A
+// document cut short at the end of the file is what a crash mid-append
+// leaves behind: it is ignored on read and cut off by the next append. A
+// length prefix that runs past the end of the file over complete documents
+// is damage instead, and fails the read.
+// Reading and writing go through the file encoding of utils.js (compression,
+// encryption); `options` are passed on to it.
+const MIN_DOCUMENT_SIZE = 5;
+const READ_CHUNK_SIZE = 64 * 1024;
+const BSON_REGEXP_FLAGS = 'imsux';
+const INT64_MIN = -(2n ** 63n);
+const INT64_MAX = 2n ** 63n - 1n;
+
+const DESERIALIZE_OPTIONS = { useBigInt64: true };
+
+// Value sizes of the element types that have a fixed one
+const FIXED_VALUE_SIZES = {
+  0x01: 8, 0x06: 0, 0x07: 12, 0x08: 1, 0x09: 8, 0x0a: 0,
+  0x10: 4, 0x11: 8, 0x12: 8, 0x13: 16, 0x7f: 0, 0xff: 0
+};
+
+// Files this process last wrote whole, by path: the inode, size and mtime
+// they had then. A file still matching ends with a complete document.
+const completeFiles = new Map();
+
+// Maps values BSON cannot hold natively. Maps are written as embedded
+// documents (schema hydration turns them back into Maps).
+function toBSONValue(value) {
+  if (typeof value === 'bigint' && (value < INT64_MIN || value > INT64_MAX)) {
+    return { $bigint: value.toString() };
+  }
+  if (value instanceof RegExp) {
+    const flags = value.flags.split('').filter(flag => BSON_REGEXP_FLAGS.includes(flag)).join('');
+    return new BSONRegExp(value.source, flags);
+  }
+  if (Array.isArray(value)) {
+    return value.map(toBSONValue);
+  }
+  if (value instanceof Map) {
+    return toBSONValue(Object.fromEntries(value));
+  }
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    const converted = {};
+    for (const [key, entry] of Object.entries(value)) {
+      converted[key] = toBSONValue(entry);
+    }
+    return converted;
+  }
+  return value;
+}
+
+// Generic binary becomes a Buffer; other subtypes (UUIDs, encrypted
+// fields) stay Binary
+function fromBSONValue(value) {
+  if (value instanceof Binary && value.sub_type === Binary.SUBTYPE_DEFAULT) {
+    return Buffer.from(value.buffer);
+  }
+  if (Array.isArray(value)) {
+    return value.map(fromBSONValue);
+  }
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === '$bigint' && typeof value.$bigint === 'string') {
+      return BigInt(value.$bigint);
+    }
+    for (const key of keys) {
+      value[key] = fromBSONValue(value[key]);
+    }
+  }
+  return value;
+}
+
+function serializeDocuments(docs) {
+  return Buffer.concat(docs.map(doc => BSON.serialize(toBSONValue(doc), { ignoreUndefined: true })));
+}
+
+function deserializeDocument(raw) {
+  return fromBSONValue(BSON.deserialize(raw, DESERIALIZE_OPTIONS));
+}
+
+// Yields each document of a file as an undecoded Buffer, reading the file
+// in chunks
+async function* iterateRawBSON(filePath, options = {}) {
+  const stream = await openDecodedReadStream(filePath, { ...options, highWaterMark: READ_CHUNK_SIZE });
+  let pending = Buffer.alloc(0);
+  let offset = 0;
+
+  try {
+    for await (const chunk of stream) {
+      pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+      let position = 0;
+      while (pending.length - position >= 4) {
+        const size = pending.readInt32LE(position);
+        if (size < MIN_DOCUMENT_SIZE) {
+          throw corruptDocument(filePath, offset + position);
+        }
+        if (pending.length - position < size) break;
+        yield pending.subarray(position, position + size);
+        position += size;
+      }
+      offset += position;
+      pending = pending.subarray(position);
+    }
+  } finally {
+    stream.destroy();
+  }
+  if (!isTornDocument(pending)) {
+    throw corruptDocument(filePath, offset);
+  }
+}
+
+function corruptDocument(filePath, offset) {
+  return new IntegrityError(`Corrupt BSON document at ${filePath}, byte ${offset}`, 'EPARSE', filePath);
+}
+
+// Whether the bytes left at the end of a file are the start of one document
+// cut short: its elements run on to the end. Behind a damaged length prefix
+// the document ends (or stops making sense) before the bytes do.
+function isTornDocument(data) {
+  let position = 4;
+  while (position < data.length) {
+    const type = data[position];
+    if (type === 0) return false;
+    const nameEnd = data.indexOf(0, position + 1);
+    if (nameEnd === -1) return true;
+    const size = valueSize(type, data, nameEnd + 1);
+    if (size === null) return false;
+    position = nameEnd + 1 + size;
+  }
+  return true;
+}
+
+// Byte size of an element value, Infinity if it runs past the end of
+// `data`, or null if it cannot be one
+function valueSize(type, data, position) {
+  if (type in FIXED_VALUE_SIZES) return FIXED_VALUE_SIZES[type];
+  if (type === 0x0b) {
+    // Regular expression: pattern and flags as two C strings
+    const patternEnd = data.indexOf(0, position);
+    const flagsEnd = patternEnd === -1 ? -1 : data.indexOf(0, patternEnd + 1);
+    return flagsEnd === -1 ? Infinity : flagsEnd + 1 - position;
+  }
+  if (data.length - position < 4) return Infinity;
+  const length = data.readInt32LE(position);
+  switch (type) {
+    case 0x02: // string
+    case 0x0d: // JavaScript code
+    case 0x0e: // symbol
+      return length >= 1 ? 4 + length : null;
+    case 0x03: // embedded document
+    case 0x04: // array
+    case 0x0f: // code with scope
+      return length >= MIN_DOCUMENT_SIZE ? length : null;
+    case 0x05: // binary: length, subtype, bytes
+      return length >= 0 ? 5 + length : null;
+    case 0x0c: // DBPointer: string, ObjectId
+      return length >= 1 ? 4 + length + 12 : null;
+    default:
+      return null;
+  }
+}
+
+async function rememberComplete(filePath) {
+  try {
+    completeFiles.set(filePath, fileState(await fs.stat(filePath)));
+  } catch (error) {
+    completeFiles.delete(filePath);
+  }
+}
+
+function fileState(stats) {
+  return `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+}
+
+// Whether the latest checksum entries end where the file does
+async function endsAtChecksum(filePath, size) {
+  try {
+    const checksum = await readChecksum(filePath);
+    return Boolean(checksum && checksum.entries.some(entry => entry.size === size));
+  } catch (error) {
+    return false;
+  }
+}
+
+async function* iterateBSON(filePath, options = {}) {
+  let skip = options.skip || 0;
+  for await (const raw of iterateRawBSON(filePath, options)) {
+    if (skip > 0) {
+      skip--;
+      continue;
+    }
+    yield deserializeDocument(raw);
+  }
+}
+
+async function readBSON(filePath, options = {}) {
+  const docs = [];
+  try {
+    for await (const doc of iterateBSON(filePath, options)) {
+      docs.push(doc);
+    }
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  return docs;
+}
+
+async function writeBSON(filePath, docs, options = {}) {
+  await writeFileAtomic(filePath, await encodeFileData(filePath, serializeDocuments(docs), options), options);
+  await rememberComplete(filePath);
+}
+
+// Finds the end of the last complete document of a plain file. Files this
+// process wrote whole, or that end where their checksum (`options.integrity`)
+// says, are not walked. Resolves to null if the file does not exist, and
+// flags files that turn out to be encrypted.
+async function inspectBSON(filePath, options = {}) {
+  let handle;
+  try {
+    handle = await fs.promises.open(filePath, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  let stats;
+  try {
+    stats = await handle.stat();
+    const head = Buffer.alloc(Math.min(stats.size, 8));
+    await handle.read(head, 0, head.length, 0);
+    if (hasEncryptionHeader(head)) {
+      return { size: stats.size, validSize: stats.size, encrypted: true };
+    }
+  } finally {
+    await handle.close();
+  }
+
+  const { size } = stats;
+  if (completeFiles.get(filePath) === fileState(stats) ||
+      (options.integrity && await endsAtChecksum(filePath, size))) {
+    return { size, validSize: size, encrypted: false };
+  }
+  let validSize = 0;
+  for await (const raw of iterateRawBSON(filePath)) {
+    validSize += raw.length;
+  }
+  return { size, validSize, encrypted: false };
+}
+
+// Appends documents to an existing file, first cutting off a torn last
+// document (`options.truncateTo`). Resolves to the number of bytes written.
+async function appendBSON(filePath, docs, options = {}) {
+  const written = await appendFileData(filePath, serializeDocuments(docs), options);
+  await rememberComplete(filePath);
+  return written;
+}
+
+// Recovers every document of a damaged file that still deserializes. After
+// a damaged document the file is searched byte by byte for the next one
+// that does (and has an `_id`, so embedded documents are not mistaken for
+// it). Resolves to { docs, skipped }, counting each damaged stretch
+// once; a torn last document is not counted.
+async function salvageBSON(filePath, options = {}) {
+  const data = await readFileSalvaged(filePath, options);
+  const docs = [];
+  let skipped = 0;
+  let damaged = false;
+  let position = 0;
+
+  while (data.length - position >= MIN_DOCUMENT_SIZE) {
+    const size = data.readInt32LE(position);
+    let doc = null;
+    if (size >= MIN_DOCUMENT_SIZE && position + size <= data.length && data[position + size - 1] === 0) {
+      try {
+        doc = deserializeDocument(data.subarray(position, position + size));
+      } catch (error) {
+        // Not a document boundary
+      }
+    }
+    if (doc && doc._id !== undefined) {
+      if (damaged) skipped++;
+      damaged = false;
+      docs.push(doc);
+      position += size;
+    } else {
+      damaged = true;
+      position++;
+    }
+  }
+  return { docs, skipped };
+}
+
+module.exports = {
+  iterateRawBSON,
+  iterateBSON,
+  readBSON,
+  writeBSON,
+  inspectBSON,
+  appendBSON,
+  salvageBSON
+};
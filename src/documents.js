@@ -0,0 +1,171 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { ObjectId } = require('bson');
+const {
+  parseJSON,
+  stringifyJSON,
+  parseExtendedJSON,
+  stringifyExtendedJSON,
+  isPlainObject,
+  writeFileAtomic,
+  encodeFileData,
+  readFileDecoded
+} = require('./utils.js');
+const { IntegrityError } = require('./errors.js');
+
+// In the documents layout a collection is a directory holding one file per
+// document, named after its `_id`:
+//   users/
+//     65f0c0ffee0000000000000a.json
+//     65f0c0ffee0000000000000b.json
+// Each file is one pretty-printed (Extended) JSON document with its keys in
+// a stable order (`_id` first, the rest sorted), so that a change to a
+// document shows up in version control as a change to its own lines only.
+// Characters of an `_id` that are not safe in file names are
+// percent-encoded. A file without an `_id` takes it from its name, so
+// documents can also be added by hand.
+const DOCUMENT_EXTENSION = '.json';
+const UNSAFE_FILE_NAME_CHARACTERS = /[!'()*~]/g;
+
+function documentFileName(id) {
+  const encoded = encodeURIComponent(String(id))
+    .replace(UNSAFE_FILE_NAME_CHARACTERS, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+    .replace(/^\./, '%2E');
+  return `${encoded}${DOCUMENT_EXTENSION}`;
+}
+
+function documentIdFromFile(file) {
+  const name = path.basename(file, DOCUMENT_EXTENSION);
+  try {
+    return decodeURIComponent(name);
+  } catch (error) {
+    // Not written by us; the name is the id as it is
+    return name;
+  }
+}
+
+function isDocumentFile(file) {
+  return file.endsWith(DOCUMENT_EXTENSION) && !file.startsWith('.');
+}
+
+function compareKeys(a, b) {
+  if (a === b) return 0;
+  if (a === '_id') return -1;
+  if (b === '_id') return 1;
+  return a < b ? -1 : 1;
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value instanceof Map) {
+    return new Map(Array.from(value.keys()).sort(compareKeys).map(key => [key, sortKeys(value.get(key))]));
+  }
+  if (isPlainObject(value)) {
+    const sorted = {};
+    for (const key of Object.keys(value).sort(compareKeys)) {
+      sorted[key] = sortKeys(value[key]);
+    }
+    return sorted;
+  }
+  return value;
+}
+
+function stringifyDocument(doc, mode) {
+  const sorted = sortKeys(doc);
+  const text = mode
+    ? stringifyExtendedJSON(sorted, { mode, spaces: 2 })
+    : stringifyJSON(sorted, { spaces: 2 });
+  return `${text}\n`;
+}
+
+// Reads one document file. Resolves to null if it does not exist. A file
+// holding another `_id` than its name is an IntegrityError 'EID', unless
+// `options.checkId` is false.
+async function readDocumentFile(filePath, options = {}) {
+  let data;
+  try {
+    data = await readFileDecoded(filePath, { ...options, encoding: 'utf8' });
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  let doc;
+  try {
+    doc = options.extendedJSON ? parseExtendedJSON(data) : parseJSON(data, options);
+  } catch (error) {
+    throw new IntegrityError(`${filePath} cannot be parsed: ${error.message}`, 'EPARSE', filePath);
+  }
+  if (!isPlainObject(doc)) {
+    throw new IntegrityError(`${filePath} does not hold a document`, 'EPARSE', filePath);
+  }
+
+  const id = documentIdFromFile(filePath);
+  if (doc._id === undefined) {
+    return { _id: id, ...doc };
+  }
+  if (options.checkId !== false && String(doc._id) !== id) {
+    throw new IntegrityError(`${filePath} holds the document with _id '${doc._id}'`, 'EID', filePath);
+  }
+  return doc;
+}
+
+// Writes one document file, unless it already holds exactly that document
+// (`options.skipUnchanged`), which keeps untouched files untouched.
+async function writeDocumentFile(filePath, doc, options = {}) {
+  const data = await encodeFileData(filePath, stringifyDocument(doc, options.extendedJSON || false), options);
+  if (options.skipUnchanged && !options.encryptionKey) {
+    try {
+      if ((await fs.readFile(filePath)).equals(data)) return false;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  await writeFileAtomic(filePath, data);
+  return true;
+}
+
+// === Reading by Id ===
+// The ids `conditions` limits a query to, when it compares `_id` to one or
+// more values (directly or inside `$and`), so that only their files need
+// to be read. Null when any document may match.
+function idsFromConditions(conditions) {
+  let ids = null;
+  const narrow = (values) => {
+    const keys = values.map(String);
+    ids = ids ? ids.filter(id => keys.includes(id)) : Array.from(new Set(keys));
+  };
+
+  for (const [key, value] of Object.entries(conditions || {})) {
+    if (key === '$and' && Array.isArray(value)) {
+      for (const condition of value) {
+        const nested = idsFromConditions(condition);
+        if (nested) narrow(nested);
+      }
+    } else if (key === '_id') {
+      if (isIdValue(value)) {
+        narrow([value]);
+      } else if (isPlainObject(value) && Object.keys(value).length === 1) {
+        if (isIdValue(value.$eq)) narrow([value.$eq]);
+        if (Array.isArray(value.$in) && value.$in.every(isIdValue)) narrow(value.$in);
+      }
+    }
+  }
+  return ids;
+}
+
+function isIdValue(value) {
+  return typeof value === 'string' || typeof value === 'number' || value instanceof ObjectId;
+}
+
+module.exports = {
+  documentFileName,
+  documentIdFromFile,
+  isDocumentFile,
+  stringifyDocument,
+  readDocumentFile,
+  writeDocumentFile,
+  idsFromConditions
+};
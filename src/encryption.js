@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const { EncryptionError } = require('./errors.js');
+
+// Encrypted data is laid out as
+//   "LGENC" | version (1 byte) | key id (8) | iv (12) | ciphertext | tag (16)
+// using AES-256-GCM. The key id (a truncated SHA-256 of the key) tells a
+// wrong key apart from tampered data, and the header is authenticated along
+// with the ciphertext.
+const MAGIC = Buffer.from('LGENC');
+const VERSION = 1;
+const KEY_ID_LENGTH = 8;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = MAGIC.length + 1 + KEY_ID_LENGTH + IV_LENGTH;
+
+// Accepts a 32-byte Buffer or a 64-character hex string
+function createKey(key, optionName = 'encryptionKey') {
+  let bytes = key;
+  if (typeof key === 'string' && /^[0-9a-fA-F]{64}$/.test(key)) {
+    bytes = Buffer.from(key, 'hex');
+  }
+  if (!Buffer.isBuffer(bytes) || bytes.length !== 32) {
+    throw new Error(`${optionName} must be a 32-byte Buffer or a 64-character hex string`);
+  }
+  const id = crypto.createHash('sha256').update(bytes).digest().subarray(0, KEY_ID_LENGTH);
+  return { id, key: Buffer.from(bytes) };
+}
+
+function hasEncryptionHeader(data) {
+  return data.length >= MAGIC.length && data.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+// Id of the key a buffer was encrypted with, or null if it is not encrypted
+function encryptionKeyId(data) {
+  if (!hasEncryptionHeader(data) || data.length < MAGIC.length + 1 + KEY_ID_LENGTH) return null;
+  return data.subarray(MAGIC.length + 1, MAGIC.length + 1 + KEY_ID_LENGTH).toString('hex');
+}
+
+// `options.iv` fixes the IV (deterministic encryption) and `options.aad`
+// authenticates extra data along with the header
+function encrypt(data, encryptionKey, options = {}) {
+  const header = Buffer.concat([
+    MAGIC,
+    Buffer.from([VERSION]),
+    encryptionKey.id,
+    options.iv || crypto.randomBytes(IV_LENGTH)
+  ]);
+  const iv = header.subarray(header.length - IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey.key, iv);
+  cipher.setAAD(options.aad ? Buffer.concat([header, options.aad]) : header);
+  const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+  return Buffer.concat([header, ciphertext, cipher.getAuthTag()]);
+}
+
+// Decrypts with whichever of `decryptionKeys` the data was encrypted with.
+// `source` names the data in error messages.
+function decrypt(data, decryptionKeys, source, options = {}) {
+  if (data.length < HEADER_LENGTH + TAG_LENGTH || data[MAGIC.length] !== VERSION) {
+    throw new EncryptionError(`${source} is not valid encrypted data`, 'ETAMPERED', source);
+  }
+  if (decryptionKeys.length === 0) {
+    throw new EncryptionError(`${source} is encrypted but no encryptionKey was given`, 'ENOKEY', source);
+  }
+
+  const keyId = encryptionKeyId(data);
+  const encryptionKey = decryptionKeys.find(candidate => candidate.id.toString('hex') === keyId);
+  if (!encryptionKey) {
+    throw new EncryptionError(`${source} is encrypted with a different key`, 'EWRONGKEY', source);
+  }
+
+  const header = data.subarray(0, HEADER_LENGTH);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey.key, header.subarray(HEADER_LENGTH - IV_LENGTH));
+  decipher.setAAD(options.aad ? Buffer.concat([header, options.aad]) : header);
+  decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+  try {
+    return Buffer.concat([
+      decipher.update(data.subarray(HEADER_LENGTH, data.length - TAG_LENGTH)),
+      decipher.final()
+    ]);
+  } catch (error) {
+    throw new EncryptionError(`${source} failed authentication: it has been tampered with or is corrupt`, 'ETAMPERED', source);
+  }
+}
+
+// Fails when plaintext turns up where encryption is required
+function assertPlaintextAllowed(options, source) {
+  if (options.requireEncryption) {
+    throw new EncryptionError(`${source} is not encrypted`, 'ENOTENCRYPTED', source);
+  }
+}
+
+module.exports = {
+  ENCRYPTION_HEADER_LENGTH: HEADER_LENGTH,
+  createKey,
+  hasEncryptionHeader,
+  encryptionKeyId,
+  encrypt,
+  decrypt,
+  assertPlaintextAllowed
+};
@@ -0,0 +1,77 @@
+class LockTimeoutError extends Error {
+  constructor(lockPath, timeout) {
+    super(`Timed out after ${timeout}ms waiting for lock on ${lockPath}`);
+    this.name = 'LockTimeoutError';
+    this.code = 'ELOCKTIMEOUT';
+    this.lockPath = lockPath;
+    this.timeout = timeout;
+  }
+}
+
+class StrictModeError extends Error {
+  constructor(modelName, paths, id) {
+    super(`Document ${id} in ${modelName} has fields not in the schema: ${paths.join(', ')}`);
+    this.name = 'StrictModeError';
+    this.modelName = modelName;
+    this.paths = paths;
+    this.documentId = id;
+  }
+}
+
+// Raised when an encrypted file cannot be read: code is ENOKEY (no key
+// given), EWRONGKEY, ETAMPERED (authentication failed) or ENOTENCRYPTED
+// (plaintext where encryption is required)
+class EncryptionError extends Error {
+  constructor(message, code, filePath) {
+    super(message);
+    this.name = 'EncryptionError';
+    this.code = code;
+    this.path = filePath;
+  }
+}
+
+// Raised when a collection file is damaged: code is ECHECKSUM (the bytes do
+// not match their checksum), ECOUNT (the file holds another number of
+// documents than was written), EPARSE (the file cannot be parsed) or EID
+// (a document file holds a document with another `_id` than its name says)
+class IntegrityError extends Error {
+  constructor(message, code, filePath) {
+    super(message);
+    this.name = 'IntegrityError';
+    this.code = code;
+    this.path = filePath;
+  }
+}
+
+// Raised by operations a connection cannot run: code is ECONNECT (opening
+// it failed), ECLOSED (it is closed and `bufferCommands` is off) or
+// EBUFFERTIMEOUT (it was not reopened within `bufferTimeoutMS`)
+class ConnectionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ConnectionError';
+    this.code = code;
+  }
+}
+
+// Raised when a transaction would overwrite documents that another write
+// changed since the transaction first wrote their collection. The
+// transaction is aborted and nothing of it is stored.
+class WriteConflictError extends Error {
+  constructor(collection, ids) {
+    super(`Write conflict in ${collection}: ${ids.join(', ')} changed outside the transaction`);
+    this.name = 'WriteConflictError';
+    this.code = 'EWRITECONFLICT';
+    this.collection = collection;
+    this.documentIds = ids;
+  }
+}
+
+module.exports = {
+  LockTimeoutError,
+  EncryptionError,
+  StrictModeError,
+  IntegrityError,
+  ConnectionError,
+  WriteConflictError
+};
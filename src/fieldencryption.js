@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const { Binary } = require('bson');
+const { stringifyExtendedJSON, parseExtendedJSON } = require('./utils.js');
+const { encrypt, decrypt } = require('./encryption.js');
+const { EncryptionError } = require('./errors.js');
+
+// Encrypted schema paths hold their value as BSON Binary of subtype 6 (the
+// subtype MongoDB uses for encrypted fields) wrapping the layout of
+// encryption.js. The value is serialized as canonical Extended JSON first,
+// so it keeps its type, and the path is authenticated along with it, so
+// ciphertext cannot be moved to another field. Deterministic encryption
+// derives the IV from the path and value: equal values encrypt to equal
+// bytes, which is what lets them be queried. Plain JSON storage writes
+// Binary as a base64 string, which is recognized by its header.
+const FIELD_SUBTYPE = 6;
+const BASE64_PREFIX = Buffer.from('LGENC\x01').toString('base64');
+const IV_LENGTH = 12;
+
+function isEncryptedField(value) {
+  if (value instanceof Binary) return value.sub_type === FIELD_SUBTYPE;
+  return typeof value === 'string' && value.startsWith(BASE64_PREFIX);
+}
+
+function fieldBytes(value) {
+  return value instanceof Binary ? Buffer.from(value.buffer) : Buffer.from(value, 'base64');
+}
+
+function deterministicIV(encryptionKey, path, plaintext) {
+  const ivKey = crypto.createHmac('sha256', encryptionKey.key).update('localgoose deterministic iv').digest();
+  return crypto.createHmac('sha256', ivKey)
+    .update(path).update('\0').update(plaintext)
+    .digest()
+    .subarray(0, IV_LENGTH);
+}
+
+function encryptField(value, encryptionKey, options = {}) {
+  const { path, deterministic = false } = options;
+  const plaintext = Buffer.from(stringifyExtendedJSON({ v: value }, { mode: 'canonical', spaces: 0 }));
+  const iv = deterministic ? deterministicIV(encryptionKey, path, plaintext) : undefined;
+  return new Binary(encrypt(plaintext, encryptionKey, { iv, aad: Buffer.from(path) }), FIELD_SUBTYPE);
+}
+
+function decryptField(value, decryptionKeys, path) {
+  const source = `Field '${path}'`;
+  if (decryptionKeys.length === 0) {
+    throw new EncryptionError(`${source} is encrypted but no fieldEncryptionKey was given`, 'ENOKEY', source);
+  }
+  const plaintext = decrypt(fieldBytes(value), decryptionKeys, source, { aad: Buffer.from(path) });
+  return parseExtendedJSON(plaintext.toString('utf8')).v;
+}
+
+// Whether two encrypted values hold the same bytes
+function encryptedFieldsEqual(a, b) {
+  return fieldBytes(a).equals(fieldBytes(b));
+}
+
+module.exports = {
+  isEncryptedField,
+  encryptField,
+  decryptField,
+  encryptedFieldsEqual
+};
@@ -0,0 +1,97 @@
+const path = require('path');
+const {
+  readJSON,
+  iterateJSON,
+  writeJSON,
+  salvageJSON,
+  compressionForPath,
+  stripCompressionExtension
+} = require('./utils.js');
+const { readNDJSON, iterateNDJSON, writeNDJSON, inspectNDJSON, appendNDJSON, salvageNDJSON } = require('./ndjson.js');
+const { readBSON, iterateBSON, writeBSON, inspectBSON, appendBSON, salvageBSON } = require('./bsonfile.js');
+
+// Storage formats for collection files, told apart by their extension:
+//   json    a single (Extended) JSON document holding every document
+//   ndjson  one document per line, see ndjson.js
+//   bson    length-prefixed BSON documents as written by mongodump, see bsonfile.js
+// Any of them may be compressed (`.json.gz`, `.bson.br`...) and encrypted,
+// see utils.js. `iterate` yields the documents of a file one at a time
+// instead of reading them all. Formats with `append` can add documents to an existing
+// file; it resolves to false when the file cannot take them (missing,
+// compressed, encrypted, or in another encoding). `salvage` recovers what
+// it can of a damaged file, resolving to { docs, skipped }.
+const FORMATS = {
+  json: {
+    extension: '.json',
+    read: (filePath, options = {}) => readJSON(filePath, { ...options, persistDefault: false }),
+    iterate: iterateJSON,
+    write: writeJSON,
+    salvage: salvageJSON
+  },
+  ndjson: {
+    extension: '.ndjson',
+    read: readNDJSON,
+    iterate: iterateNDJSON,
+    write: writeNDJSON,
+    salvage: salvageNDJSON,
+    append: async (filePath, docs, options = {}) => {
+      if (compressionForPath(filePath) || options.encryptionKey) return false;
+      const file = await inspectNDJSON(filePath);
+      if (!file || file.encrypted || file.mode !== (options.extendedJSON || false)) return false;
+      await appendNDJSON(filePath, docs, {
+        ...options,
+        truncateTo: file.validSize < file.size ? file.validSize : null
+      });
+      return true;
+    }
+  },
+  bson: {
+    extension: '.bson',
+    read: readBSON,
+    iterate: iterateBSON,
+    write: writeBSON,
+    salvage: salvageBSON,
+    append: async (filePath, docs, options = {}) => {
+      if (compressionForPath(filePath) || options.encryptionKey) return false;
+      const file = await inspectBSON(filePath, { integrity: options.integrity });
+      if (!file || file.encrypted) return false;
+      await appendBSON(filePath, docs, {
+        integrity: options.integrity,
+        truncateTo: file.validSize < file.size ? file.validSize : null
+      });
+      return true;
+    }
+  }
+};
+
+const FORMAT_NAMES = Object.keys(FORMATS);
+
+function getFormat(name) {
+  if (!FORMATS[name]) {
+    throw new Error(`Unknown storage format '${name}', expected one of: ${FORMAT_NAMES.join(', ')}`);
+  }
+  return FORMATS[name];
+}
+
+// Format of a file from its extension (ignoring a compression suffix),
+// json if it has no known extension
+function formatForPath(filePath) {
+  const extension = path.extname(stripCompressionExtension(filePath));
+  return FORMAT_NAMES.find(name => FORMATS[name].extension === extension) || 'json';
+}
+
+async function readCollectionFile(filePath, options = {}) {
+  return getFormat(formatForPath(filePath)).read(filePath, options);
+}
+
+async function writeCollectionFile(filePath, docs, options = {}) {
+  return getFormat(formatForPath(filePath)).write(filePath, docs, options);
+}
+
+module.exports = {
+  FORMAT_NAMES,
+  getFormat,
+  formatForPath,
+  readCollectionFile,
+  writeCollectionFile
+};
@@ -1,13 +1,35 @@
 const { Schema } = require('./Schema.js');
 const { Connection } = require('./Connection.js');
+const { StorageAdapter } = require('./StorageAdapter.js');
+const { JSONFileAdapter } = require('./JSONFileAdapter.js');
+const { MemoryAdapter } = require('./MemoryAdapter.js');
+const { ClientSession } = require('./ClientSession.js');
+const { ChangeStream } = require('./ChangeStream.js');
+const { LiveQuery } = require('./LiveQuery.js');
+const { LockTimeoutError, StrictModeError, EncryptionError, IntegrityError, ConnectionError, WriteConflictError } = require('./errors.js');
 
 const localgoose = {
   Schema,
   Connection,
-  createConnection: (dbPath) => new Connection(dbPath),
-  connect: (dbPath) => {
-    const connection = new Connection(dbPath);
-    return connection.connect();
+  StorageAdapter,
+  JSONFileAdapter,
+  MemoryAdapter,
+  ClientSession,
+  ChangeStream,
+  LiveQuery,
+  LockTimeoutError,
+  StrictModeError,
+  EncryptionError,
+  IntegrityError,
+  ConnectionError,
+  WriteConflictError,
+  createConnection: (dbPath, options) => new Connection(dbPath, options),
+  // Returns the connection at once; operations wait for it to open, and
+  // fail with the error if it cannot (see Connection#connect)
+  connect: (dbPath, options) => {
+    const connection = new Connection(dbPath, options);
+    connection.connect().catch(() => {});
+    return connection;
   }
 };
 
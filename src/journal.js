@@ -0,0 +1,233 @@
+const fs = require('fs-extra');
+const { parseJSON, stringifyJSON, parseExtendedJSON, stringifyExtendedJSON, writeFileAtomic } = require('./utils.js');
+const { encrypt, decrypt, assertPlaintextAllowed } = require('./encryption.js');
+const { EncryptionError, IntegrityError } = require('./errors.js');
+
+// A journal is a newline-delimited list of operations applied on top of a
+// collection snapshot:
+//   { "op": "insert", "doc": { ... } }
+//   { "op": "update", "doc": { ... } }   full document after the update
+//   { "op": "delete", "_id": "..." }
+// Every record is keyed by `_id`, so replaying a record twice is harmless.
+// Records written in Extended JSON carry `"ejson": true` as their first key.
+// Encrypted records are wrapped whole: `{ "enc": "<base64>" }`, see
+// encryption.js.
+const EJSON_RECORD_PREFIX = '{"ejson":true,';
+const ENCRYPTED_RECORD_PREFIX = '{"enc":"';
+const JOURNAL_OPS = ['insert', 'update', 'delete'];
+
+// A damaged line can still parse; it must at least look like a record
+function assertRecord(record) {
+  const valid = record && JOURNAL_OPS.includes(record.op) &&
+    (record.op === 'delete' ? record._id != null : record.doc && record.doc._id != null);
+  if (!valid) {
+    throw new Error('not a journal record');
+  }
+  return record;
+}
+
+function parseRecord(line, options = {}, source) {
+  if (line.startsWith(ENCRYPTED_RECORD_PREFIX)) {
+    const data = Buffer.from(JSON.parse(line).enc, 'base64');
+    return parseRecord(decrypt(data, options.decryptionKeys || [], source).toString('utf8'), { dateReviver: options.dateReviver });
+  }
+  assertPlaintextAllowed(options, source);
+  if (line.startsWith(EJSON_RECORD_PREFIX)) {
+    const { ejson, ...record } = parseExtendedJSON(line);
+    return record;
+  }
+  return parseJSON(line, options);
+}
+
+function stringifyRecord(record, options = {}) {
+  const { extendedJSON = false, encryptionKey = null } = options;
+  const line = extendedJSON
+    ? stringifyExtendedJSON({ ejson: true, ...record }, { mode: extendedJSON, spaces: 0 })
+    : stringifyJSON(record, { spaces: 0 });
+  if (!encryptionKey) {
+    return line;
+  }
+  return JSON.stringify({ enc: encrypt(Buffer.from(line), encryptionKey).toString('base64') });
+}
+
+// With `options.salvage`, damaged records are skipped (and counted in
+// `skipped`) instead of failing the read. `options.assertRecord` replaces
+// the check of what a record must look like, for files written with
+// appendJournal that hold other records (see JSONFileAdapter's change log).
+async function readJournal(journalPath, options = {}) {
+  const check = options.assertRecord || assertRecord;
+  let data;
+  try {
+    data = await fs.readFile(journalPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { records: [], size: 0, validSize: 0, skipped: 0 };
+    }
+    throw error;
+  }
+
+  const records = [];
+  const lines = data.split('\n');
+  let offset = 0;
+  let validSize = 0;
+  let skipped = 0;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    offset += Buffer.byteLength(line) + (i < lines.length - 1 ? 1 : 0);
+    if (!line.trim()) {
+      validSize = offset;
+      continue;
+    }
+
+    try {
+      records.push(check(parseRecord(line, options, `${journalPath}:${i + 1}`)));
+      validSize = offset;
+    } catch (error) {
+      const damaged = !(error instanceof EncryptionError) || error.code === 'ETAMPERED';
+      if (options.salvage && damaged) {
+        if (i < lines.length - 1) skipped++;
+        continue;
+      }
+      if (error instanceof EncryptionError) throw error;
+      // A torn last line is what a crash mid-append leaves behind
+      if (i === lines.length - 1) break;
+      throw new IntegrityError(`Corrupt journal entry at ${journalPath}:${i + 1}: ${error.message}`, 'EPARSE', journalPath);
+    }
+  }
+
+  return { records, size: Buffer.byteLength(data), validSize, skipped };
+}
+
+async function appendJournal(journalPath, records, options = {}) {
+  const { truncateTo = null } = options;
+  const data = records.map(record => stringifyRecord(record, options) + '\n').join('');
+
+  const handle = await fs.promises.open(journalPath, 'a');
+  try {
+    if (truncateTo !== null) {
+      await handle.truncate(truncateTo);
+    }
+    await handle.write(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  return Buffer.byteLength(data);
+}
+
+// Replaces a journal with `records`, e.g. to encrypt them with another key
+async function writeJournal(journalPath, records, options = {}) {
+  const data = records.map(record => stringifyRecord(record, options) + '\n').join('');
+  await writeFileAtomic(journalPath, data);
+}
+
+async function removeJournal(journalPath) {
+  await fs.remove(journalPath);
+}
+
+// Converts the change list recorded by a collection mutation into journal
+// records. Returns null when a change cannot be keyed by `_id`, in which case
+// the caller has to rewrite the snapshot instead.
+function toJournalRecords(changes) {
+  const records = [];
+  for (const { op, doc } of changes) {
+    if (!doc || doc._id === undefined || doc._id === null) {
+      return null;
+    }
+    records.push(op === 'delete' ? { op, _id: doc._id } : { op, doc });
+  }
+  return records;
+}
+
+function replayJournal(docs, records) {
+  if (records.length === 0) return docs;
+
+  const positions = new Map();
+  docs.forEach((doc, index) => positions.set(String(doc._id), index));
+  const removed = new Set();
+
+  for (const record of records) {
+    const key = String(record.op === 'delete' ? record._id : record.doc._id);
+    const index = positions.get(key);
+
+    switch (record.op) {
+      case 'insert':
+      case 'update':
+        if (index === undefined) {
+          positions.set(key, docs.length);
+          docs.push(record.doc);
+        } else {
+          docs[index] = record.doc;
+        }
+        break;
+      case 'delete':
+        if (index !== undefined) {
+          removed.add(index);
+          positions.delete(key);
+        }
+        break;
+      default:
+        throw new Error(`Unknown journal operation: ${record.op}`);
+    }
+  }
+
+  return removed.size > 0 ? docs.filter((doc, index) => !removed.has(index)) : docs;
+}
+
+// Streaming counterpart of replayJournal: applies the records to `docs`
+// (an async iterable) as they go by, in the same order replayJournal
+// produces. Documents the journal deleted and inserted again, or that only
+// the journal knows, come last.
+async function* iterateReplayed(docs, records) {
+  if (records.length === 0) {
+    yield* docs;
+    return;
+  }
+
+  // Final record and position of every document the journal touches
+  const journaled = new Map();
+  records.forEach((record, index) => {
+    const key = String(record.op === 'delete' ? record._id : record.doc._id);
+    const entry = journaled.get(key) || { deleted: false, introducedAt: index };
+    if (record.op === 'delete') {
+      entry.deleted = true;
+      entry.introducedAt = null;
+    } else if (entry.introducedAt === null) {
+      entry.introducedAt = index;
+    }
+    entry.record = record;
+    journaled.set(key, entry);
+  });
+
+  const seen = new Set();
+  for await (const doc of docs) {
+    const key = String(doc._id);
+    const entry = journaled.get(key);
+    if (!entry) {
+      yield doc;
+      continue;
+    }
+    seen.add(key);
+    if (!entry.deleted) {
+      yield entry.record.doc;
+    }
+  }
+
+  const tail = Array.from(journaled.entries())
+    .filter(([key, entry]) => entry.record.op !== 'delete' && (entry.deleted || !seen.has(key)))
+    .sort(([, a], [, b]) => a.introducedAt - b.introducedAt);
+  for (const [, entry] of tail) {
+    yield entry.record.doc;
+  }
+}
+
+module.exports = {
+  readJournal,
+  appendJournal,
+  writeJournal,
+  removeJournal,
+  toJournalRecords,
+  replayJournal,
+  iterateReplayed
+};
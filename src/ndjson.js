@@ -0,0 +1,198 @@
+const fs = require('fs-extra');
+const readline = require('readline');
+const {
+  parseJSON,
+  stringifyJSON,
+  parseExtendedJSON,
+  stringifyExtendedJSON,
+  isExtendedJSONEnvelope,
+  writeFileAtomic,
+  encodeFileData,
+  openDecodedReadStream,
+  appendFileData,
+  readFileSalvaged,
+  isSalvageable
+} = require('./utils.js');
+const { hasEncryptionHeader } = require('./encryption.js');
+
+// An NDJSON collection file holds one document per line. Files written in
+// Extended JSON start with a header line naming the mode:
+//   {"format":"ejson","mode":"relaxed"}
+//   {"_id":"...","name":"..."}
+// Reading and writing go through the file encoding of utils.js (compression,
+// encryption); `options` are passed on to it. Every write ends with a newline, so a last line without one is what a
+// crash mid-append leaves behind: it is ignored on read and cut off by the
+// next append.
+const HEADER_MODE_PATTERN = /"mode"\s*:\s*"(\w+)"/;
+const TAIL_CHUNK_SIZE = 64 * 1024;
+
+function headerMode(line) {
+  if (!isExtendedJSONEnvelope(line)) return null;
+  const match = HEADER_MODE_PATTERN.exec(line);
+  return match ? match[1] : 'relaxed';
+}
+
+function parseDocument(line, mode, options = {}) {
+  return mode ? parseExtendedJSON(line) : parseJSON(line, options);
+}
+
+function stringifyDocument(doc, mode) {
+  return mode
+    ? stringifyExtendedJSON(doc, { mode, spaces: 0 })
+    : stringifyJSON(doc, { spaces: 0 });
+}
+
+function stringifyLines(docs, mode) {
+  return docs.map(doc => stringifyDocument(doc, mode) + '\n').join('');
+}
+
+// Yields the documents of a file one at a time, without reading it whole
+async function* iterateNDJSON(filePath, options = {}) {
+  const stream = await openDecodedReadStream(filePath, { ...options, encoding: 'utf8' });
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let mode = false;
+  let lineNumber = 0;
+  let corrupt = null;
+
+  try {
+    for await (const line of lines) {
+      lineNumber++;
+      // Only the last line may be unreadable
+      if (corrupt) throw corrupt;
+      if (!line.trim()) continue;
+
+      if (lineNumber === 1 && headerMode(line)) {
+        mode = headerMode(line);
+        continue;
+      }
+
+      let doc;
+      try {
+        doc = parseDocument(line, mode, options);
+      } catch (error) {
+        corrupt = new Error(`Corrupt document at ${filePath}:${lineNumber}: ${error.message}`);
+        continue;
+      }
+      yield doc;
+    }
+  } finally {
+    lines.close();
+    stream.destroy();
+  }
+}
+
+async function readNDJSON(filePath, options = {}) {
+  const docs = [];
+  try {
+    for await (const doc of iterateNDJSON(filePath, options)) {
+      docs.push(doc);
+    }
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  return docs;
+}
+
+async function writeNDJSON(filePath, docs, options = {}) {
+  const { extendedJSON = false } = options;
+  const header = extendedJSON
+    ? stringifyJSON({ format: 'ejson', mode: extendedJSON }, { spaces: 0 }) + '\n'
+    : '';
+  await writeFileAtomic(filePath, await encodeFileData(filePath, header + stringifyLines(docs, extendedJSON), options), options);
+}
+
+// Extended JSON mode of a file's header (false for plain JSON), read from
+// its first line only
+async function readNDJSONMode(filePath, options = {}) {
+  const stream = await openDecodedReadStream(filePath, { ...options, encoding: 'utf8' });
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  try {
+    for await (const line of lines) {
+      return headerMode(line) || false;
+    }
+    return false;
+  } finally {
+    lines.close();
+    stream.destroy();
+  }
+}
+
+// Reads just enough of a plain file to append to it: its size, the offset
+// just past its last complete line, the Extended JSON mode of its header
+// (false for plain JSON) and whether it is encrypted after all. Resolves to
+// null if the file does not exist.
+async function inspectNDJSON(filePath) {
+  let handle;
+  try {
+    handle = await fs.promises.open(filePath, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  try {
+    const { size } = await handle.stat();
+    const head = Buffer.alloc(Math.min(size, 256));
+    await handle.read(head, 0, head.length, 0);
+    const mode = headerMode(head.toString('utf8').split('\n')[0]) || false;
+    const encrypted = hasEncryptionHeader(head);
+
+    let validSize = 0;
+    for (let end = size; end > 0; end -= TAIL_CHUNK_SIZE) {
+      const start = Math.max(0, end - TAIL_CHUNK_SIZE);
+      const chunk = Buffer.alloc(end - start);
+      await handle.read(chunk, 0, chunk.length, start);
+      const newline = chunk.lastIndexOf(0x0a);
+      if (newline !== -1) {
+        validSize = start + newline + 1;
+        break;
+      }
+    }
+
+    return { size, validSize, mode, encrypted };
+  } finally {
+    await handle.close();
+  }
+}
+
+// Appends documents to an existing file, first cutting off a torn last
+// line (`options.truncateTo`). Resolves to the number of bytes written.
+async function appendNDJSON(filePath, docs, options = {}) {
+  return appendFileData(filePath, stringifyLines(docs, options.extendedJSON || false), options);
+}
+
+// Recovers every line of a damaged file that still parses. Resolves to
+// { docs, skipped }; a torn last line is not counted as skipped.
+async function salvageNDJSON(filePath, options = {}) {
+  const lines = (await readFileSalvaged(filePath, { ...options, encoding: 'utf8' })).split('\n');
+  const mode = headerMode(lines[0]) || false;
+  const docs = [];
+  let skipped = 0;
+
+  lines.forEach((line, index) => {
+    if (!line.trim() || (index === 0 && mode)) return;
+    let doc = null;
+    try {
+      doc = parseDocument(line, mode);
+    } catch (error) {
+      // Damaged line
+    }
+    if (isSalvageable(doc)) {
+      docs.push(doc);
+    } else if (index < lines.length - 1) {
+      skipped++;
+    }
+  });
+  return { docs, skipped };
+}
+
+module.exports = {
+  iterateNDJSON,
+  readNDJSON,
+  writeNDJSON,
+  readNDJSONMode,
+  inspectNDJSON,
+  appendNDJSON,
+  salvageNDJSON
+};
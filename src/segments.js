@@ -0,0 +1,239 @@
+const { ObjectId } = require('bson');
+const { writeFileAtomic, encodeFileData, readFileDecoded } = require('./utils.js');
+const { IntegrityError } = require('./errors.js');
+
+// A segmented collection is a directory `<name>.segments/` holding the
+// documents in files of at most `segmentSize` documents each, plus a
+// `manifest.json` listing them in order:
+//   { "layout": "segments", "version": 1, "nextId": 4,
+//     "segments": [{ "id": 1, "file": "000001.json", "count": 1000, "size": 81234,
+//                    "fields": { "age": { "type": "number", "min": 18, "max": 64 } } }],
+//     "retired": ["000003.json"] }
+// Segment files are never changed in place: a write puts the new contents
+// in new files and then replaces the manifest, so the manifest always
+// describes a complete collection. Replaced files are listed as `retired`
+// and removed by the write after, so readers that got the previous
+// manifest can still finish.
+// `fields` records the smallest and largest value of every top-level field
+// that holds a number, string or date in every document of the segment,
+// so that queries can skip segments that cannot match (see segmentMayMatch).
+const SEGMENTS_EXTENSION = '.segments';
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+const SEGMENT_ID_LENGTH = 6;
+const SEGMENT_FILE_PATTERN = /^\d+\.[a-z.]+$/;
+const CHECKSUM_EXTENSION = '.checksum';
+const MAX_STAT_STRING_LENGTH = 128;
+
+function segmentFileName(id, extension) {
+  return `${String(id).padStart(SEGMENT_ID_LENGTH, '0')}${extension}`;
+}
+
+// Segment data files only, not their checksums
+function isSegmentFile(file) {
+  return SEGMENT_FILE_PATTERN.test(file) && !file.endsWith(CHECKSUM_EXTENSION);
+}
+
+function emptyManifest() {
+  return { layout: 'segments', version: MANIFEST_VERSION, nextId: 1, segments: [], retired: [] };
+}
+
+// === Manifest Files ===
+// Written as plain JSON (the statistics carry their own types), and
+// encrypted like the segment files.
+async function readManifest(filePath, options = {}) {
+  let data;
+  try {
+    data = await readFileDecoded(filePath, { ...options, encoding: 'utf8' });
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(data);
+  } catch (error) {
+    throw new IntegrityError(`${filePath} cannot be parsed: ${error.message}`, 'EPARSE', filePath);
+  }
+  const valid = manifest && manifest.layout === 'segments' && Array.isArray(manifest.segments) &&
+    manifest.segments.every(segment => segment && typeof segment.file === 'string' && Number.isInteger(segment.count));
+  if (!valid) {
+    throw new IntegrityError(`${filePath} is not a segment manifest`, 'EPARSE', filePath);
+  }
+  if (manifest.version > MANIFEST_VERSION) {
+    throw new Error(`${filePath} was written by a newer version (manifest version ${manifest.version})`);
+  }
+  return { retired: [], ...manifest };
+}
+
+async function writeManifest(filePath, manifest, options = {}) {
+  await writeFileAtomic(filePath, await encodeFileData(filePath, JSON.stringify(manifest), options));
+}
+
+// === Planning Writes ===
+// Splits `docs` into the segments of the next manifest, in order. Segments
+// of `manifest` that no change touched are kept as they are ({ segment });
+// everything else is written anew ({ docs }): the segments holding changed
+// documents, and the last one while it has room for inserted documents.
+// `segmentOf` maps document ids to the segment they are stored in. Without
+// a previous manifest every document is written.
+function planSegments(manifest, segmentOf, docs, changes, segmentSize) {
+  const split = (list) => {
+    const entries = [];
+    for (let start = 0; start < list.length; start += segmentSize) {
+      entries.push({ docs: list.slice(start, start + segmentSize) });
+    }
+    return entries;
+  };
+  if (!manifest || !segmentOf) return split(docs);
+
+  const inserted = new Set();
+  const affected = new Set();
+  for (const change of changes) {
+    const key = String(change.doc._id);
+    if (change.op === 'insert') inserted.add(key);
+    if (segmentOf.has(key)) affected.add(segmentOf.get(key));
+  }
+  const last = manifest.segments[manifest.segments.length - 1];
+  if (last && inserted.size > 0 && last.count < segmentSize) {
+    affected.add(last.id);
+  }
+
+  // Documents of the affected segments, and the ones no segment holds yet
+  const buckets = new Map();
+  let appended = [];
+  for (const doc of docs) {
+    const key = String(doc._id);
+    const id = inserted.has(key) ? undefined : segmentOf.get(key);
+    if (id === undefined) {
+      appended.push(doc);
+    } else if (affected.has(id)) {
+      if (!buckets.has(id)) buckets.set(id, []);
+      buckets.get(id).push(doc);
+    }
+  }
+
+  const plan = [];
+  for (const segment of manifest.segments) {
+    if (!affected.has(segment.id)) {
+      plan.push({ segment });
+      continue;
+    }
+    let bucket = buckets.get(segment.id) || [];
+    if (segment === last) {
+      const room = Math.max(0, segmentSize - bucket.length);
+      bucket = bucket.concat(appended.slice(0, room));
+      appended = appended.slice(room);
+    }
+    plan.push(...split(bucket));
+  }
+  plan.push(...split(appended));
+  return plan;
+}
+
+// === Segment Statistics ===
+// Comparable form of a value, or null for values that are not tracked
+function statValue(value) {
+  if (typeof value === 'number') {
+    return Number.isNaN(value) ? null : { type: 'number', value };
+  }
+  if (typeof value === 'string') {
+    return { type: 'string', value };
+  }
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : { type: 'date', value: value.getTime() };
+  }
+  return null;
+}
+
+function segmentStats(docs) {
+  const fields = {};
+  if (docs.length === 0) return fields;
+
+  for (const key of Object.keys(docs[0])) {
+    let stats = null;
+    for (const doc of docs) {
+      const stat = statValue(doc[key]);
+      if (!stat || (stats && stat.type !== stats.type)) {
+        stats = null;
+        break;
+      }
+      if (!stats) {
+        stats = { type: stat.type, min: stat.value, max: stat.value };
+      } else {
+        if (stat.value < stats.min) stats.min = stat.value;
+        if (stat.value > stats.max) stats.max = stat.value;
+      }
+    }
+    const tooLong = stats && stats.type === 'string' &&
+      Math.max(stats.min.length, stats.max.length) > MAX_STAT_STRING_LENGTH;
+    if (stats && !tooLong) {
+      fields[key] = stats;
+    }
+  }
+  return fields;
+}
+
+// === Segment Pruning ===
+// Whether a segment may hold documents matching `conditions`, judged from
+// its statistics alone. Anything the statistics cannot rule out may match:
+// unknown operators, nested paths, fields without statistics and values of
+// another type than the recorded ones.
+function segmentMayMatch(segment, conditions = {}) {
+  const fields = segment.fields || {};
+  return Object.entries(conditions).every(([key, value]) => {
+    if (key === '$and') {
+      return value.every(condition => segmentMayMatch(segment, condition));
+    }
+    if (key === '$or') {
+      return value.some(condition => segmentMayMatch(segment, condition));
+    }
+    if (key.startsWith('$') || key.includes('.') || !fields[key]) {
+      return true;
+    }
+
+    const stats = fields[key];
+    if (isOperatorObject(value)) {
+      return Object.entries(value).every(([operator, operand]) => operatorMayMatch(stats, operator, operand));
+    }
+    return operatorMayMatch(stats, '$eq', value);
+  });
+}
+
+function isOperatorObject(value) {
+  return value && typeof value === 'object' && !(value instanceof ObjectId) && !(value instanceof Date) &&
+    !Array.isArray(value);
+}
+
+function operatorMayMatch(stats, operator, operand) {
+  if (operator === '$in') {
+    return !Array.isArray(operand) || operand.some(item => operatorMayMatch(stats, '$eq', item));
+  }
+
+  // Equality compares ObjectIds by their hex string (see Model's valuesEqual)
+  const stat = statValue(operator === '$eq' && operand instanceof ObjectId ? operand.toString() : operand);
+  if (!stat || stat.type !== stats.type) return true;
+
+  switch (operator) {
+    case '$eq': return stat.value >= stats.min && stat.value <= stats.max;
+    case '$gt': return stats.max > stat.value;
+    case '$gte': return stats.max >= stat.value;
+    case '$lt': return stats.min < stat.value;
+    case '$lte': return stats.min <= stat.value;
+    default: return true;
+  }
+}
+
+module.exports = {
+  SEGMENTS_EXTENSION,
+  MANIFEST_FILE,
+  segmentFileName,
+  isSegmentFile,
+  emptyManifest,
+  readManifest,
+  writeManifest,
+  planSegments,
+  segmentStats,
+  segmentMayMatch
+};
@@ -1,68 +1,855 @@
 const fs = require('fs-extra');
+const os = require('os');
+const crypto = require('crypto');
 const path = require('path');
-const { ObjectId } = require('bson');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { pipeline, Readable } = require('stream');
+const { ObjectId, EJSON, Binary, BSONRegExp } = require('bson');
+const { LockTimeoutError, IntegrityError } = require('./errors.js');
+const {
+  ENCRYPTION_HEADER_LENGTH,
+  hasEncryptionHeader,
+  encrypt,
+  decrypt,
+  assertPlaintextAllowed
+} = require('./encryption.js');
 
 // === File Operations ===
+function parseJSON(data, options = {}) {
+  const { 
+    dateReviver = (value) => value instanceof Date ? value : new Date(value) 
+  } = options;
+
+  return JSON.parse(data, (key, value) => {
+    // Enhanced date parsing
+    if (typeof value === 'string' && 
+        /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}.\d{3}Z$/.test(value)) {
+      try {
+        return dateReviver(value);
+      } catch {
+        return value;
+      }
+    }
+    return value;
+  });
+}
+
+function stringifyJSON(data, options = {}) {
+  const { 
+    spaces = 2, 
+    dateReplacer = (value) => value instanceof Date ? value.toISOString() : value 
+  } = options;
+
+  return JSON.stringify(data, (key, value) => {
+    // Enhanced date handling with custom replacer
+    if (value instanceof Date) {
+      return dateReplacer(value);
+    }
+    return value;
+  }, spaces);
+}
+
+// === Extended JSON ===
+// Collections can be stored as MongoDB Extended JSON wrapped in a small
+// envelope, so that they can be told apart from legacy plain JSON arrays:
+//   { "format": "ejson", "mode": "relaxed", "documents": [ ... ] }
+// Node types without an EJSON representation are mapped to BSON ones
+// (Buffer -> Binary, bigint -> $numberLong). Maps are stored as
+// `{ "$map": {...} }` and bigints beyond 64 bits as `{ "$bigint": "..." }`.
+const EJSON_ENVELOPE_PATTERN = /^\s*\{\s*"format"\s*:\s*"ejson"/;
+const BSON_REGEXP_FLAGS = 'imsux';
+const JS_REGEXP_FLAGS = 'imsu';
+const INT64_MIN = -(2n ** 63n);
+const INT64_MAX = 2n ** 63n - 1n;
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function toExtendedJSONValue(value) {
+  if (typeof value === 'bigint') {
+    return value >= INT64_MIN && value <= INT64_MAX
+      ? { $numberLong: value.toString() }
+      : { $bigint: value.toString() };
+  }
+  if (Buffer.isBuffer(value)) {
+    return new Binary(value);
+  }
+  if (value instanceof Map) {
+    const entries = {};
+    for (const [key, entry] of value) {
+      entries[key] = toExtendedJSONValue(entry);
+    }
+    return { $map: entries };
+  }
+  if (value instanceof RegExp) {
+    const flags = value.flags.split('').filter(flag => BSON_REGEXP_FLAGS.includes(flag)).join('');
+    return new BSONRegExp(value.source, flags);
+  }
+  if (Array.isArray(value)) {
+    return value.map(toExtendedJSONValue);
+  }
+  if (isPlainObject(value)) {
+    const converted = {};
+    for (const [key, entry] of Object.entries(value)) {
+      if (entry !== undefined) {
+        converted[key] = toExtendedJSONValue(entry);
+      }
+    }
+    return converted;
+  }
+  return value;
+}
+
+function fromExtendedJSONValue(value) {
+  if (value instanceof Binary && value.sub_type === Binary.SUBTYPE_DEFAULT) {
+    return Buffer.from(value.buffer);
+  }
+  if (value instanceof BSONRegExp) {
+    const flags = value.options.split('').filter(flag => JS_REGEXP_FLAGS.includes(flag)).join('');
+    return new RegExp(value.pattern, flags);
+  }
+  if (Array.isArray(value)) {
+    return value.map(fromExtendedJSONValue);
+  }
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === '$map' && isPlainObject(value.$map)) {
+      return new Map(Object.entries(value.$map).map(([key, entry]) => [key, fromExtendedJSONValue(entry)]));
+    }
+    if (keys.length === 1 && keys[0] === '$bigint' && typeof value.$bigint === 'string') {
+      return BigInt(value.$bigint);
+    }
+    for (const key of keys) {
+      value[key] = fromExtendedJSONValue(value[key]);
+    }
+  }
+  return value;
+}
+
+function stringifyExtendedJSON(data, options = {}) {
+  const { mode = 'relaxed', spaces = 2 } = options;
+  return EJSON.stringify(toExtendedJSONValue(data), null, spaces, { relaxed: mode !== 'canonical' });
+}
+
+function parseExtendedJSON(data) {
+  return fromExtendedJSONValue(EJSON.parse(data, { relaxed: true, useBigInt64: true }));
+}
+
+function isExtendedJSONEnvelope(data) {
+  return EJSON_ENVELOPE_PATTERN.test(data);
+}
+
+// Parses collection file contents in either the EJSON envelope or the
+// legacy plain JSON format
+function parseStoredJSON(data, options = {}) {
+  if (isExtendedJSONEnvelope(data)) {
+    return parseExtendedJSON(data).documents;
+  }
+  return parseJSON(data, options);
+}
+
+function stringifyStoredJSON(data, options = {}) {
+  const { extendedJSON = false } = options;
+  if (!extendedJSON) {
+    return stringifyJSON(data, options);
+  }
+  return stringifyExtendedJSON({
+    format: 'ejson',
+    mode: extendedJSON,
+    documents: data
+  }, { ...options, mode: extendedJSON });
+}
+
 async function readJSON(filePath, options = {}) {
   const { 
     defaultValue = [], 
-    dateReviver = (value) => value instanceof Date ? value : new Date(value) 
+    persistDefault = true
   } = options;
 
   try {
-    const data = await fs.readFile(filePath, 'utf8');
+    const data = await readFileDecoded(filePath, { ...options, encoding: 'utf8' });
     
     if (!data.trim()) {
-      await writeJSON(filePath, defaultValue);
+      if (persistDefault) {
+        await writeJSON(filePath, defaultValue, options);
+      }
       return defaultValue;
     }
 
-    return JSON.parse(data, (key, value) => {
-      // Enhanced date parsing
-      if (typeof value === 'string' && 
-          /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}.\d{3}Z$/.test(value)) {
-        try {
-          return dateReviver(value);
-        } catch {
-          return value;
-        }
-      }
-      return value;
-    });
+    return parseStoredJSON(data, options);
     
   } catch (error) {
     if (error.code === 'ENOENT') {
+      if (!persistDefault) {
+        return defaultValue;
+      }
       const dirPath = path.dirname(filePath);
       if (dirPath) {
         await fs.mkdir(dirPath, { recursive: true });
       }
-      await writeJSON(filePath, defaultValue);
+      await writeJSON(filePath, defaultValue, options);
       return defaultValue;
     }
     throw error;
   }
 }
 
-async function writeJSON(filePath, data, options = {}) {
-  const { 
-    spaces = 2, 
-    dateReplacer = (value) => value instanceof Date ? value.toISOString() : value 
-  } = options;
+// Yields the documents of a JSON collection file one at a time without
+// reading it whole: each object of the top-level array (or of the
+// envelope's `documents`) is cut out of the stream and parsed on its own.
+async function* iterateJSON(filePath, options = {}) {
+  let stream;
+  try {
+    stream = await openDecodedReadStream(filePath, { ...options, encoding: 'utf8' });
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  let parse = null;
+  let documentDepth = 1;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let pending = null; // text of a document split across chunks
 
   try {
-    const jsonString = JSON.stringify(data, (key, value) => {
-      // Enhanced date handling with custom replacer
-      if (value instanceof Date) {
-        return dateReplacer(value);
+    for await (const chunk of stream) {
+      if (!parse) {
+        const extended = isExtendedJSONEnvelope(chunk);
+        parse = extended ? parseExtendedJSON : (text) => parseJSON(text, options);
+        documentDepth = extended ? 2 : 1;
+      }
+
+      let start = pending === null ? -1 : 0;
+      for (let i = 0; i < chunk.length; i++) {
+        const char = chunk[i];
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (char === '\\') escaped = true;
+          else if (char === '"') inString = false;
+        } else if (char === '"') {
+          inString = true;
+        } else if (char === '{' || char === '[') {
+          if (char === '{' && depth === documentDepth) start = i;
+          depth++;
+        } else if (char === '}' || char === ']') {
+          depth--;
+          if (char === '}' && depth === documentDepth && start !== -1) {
+            const text = (pending || '') + chunk.slice(start, i + 1);
+            pending = null;
+            start = -1;
+            yield parse(text);
+          }
+        }
       }
-      return value;
-    }, spaces);
-    await fs.writeFile(filePath, jsonString, 'utf8');
+      if (start !== -1) {
+        pending = (pending || '') + chunk.slice(start);
+      }
+    }
+  } finally {
+    stream.destroy();
+  }
+
+  if (depth !== 0 || inString) {
+    throw new SyntaxError(`Unexpected end of JSON in ${filePath}`);
+  }
+}
+
+async function writeJSON(filePath, data, options = {}) {
+  try {
+    await writeFileAtomic(filePath, await encodeFileData(filePath, stringifyStoredJSON(data, options), options), options);
   } catch (error) {
     throw new Error(`Failed to write to ${filePath}: ${error.message}`);
   }
 }
 
+// === Atomic Writes ===
+// Temp files are named `<file>.<pid>-<seq>.tmp` so that leftovers can be
+// traced back to the process that wrote them.
+const TEMP_FILE_PATTERN = /\.(\d+)-\d+\.tmp$/;
+let tempFileCounter = 0;
+
+function tempPathFor(filePath) {
+  tempFileCounter = (tempFileCounter + 1) % Number.MAX_SAFE_INTEGER;
+  return `${filePath}.${process.pid}-${tempFileCounter}.tmp`;
+}
+
+async function fsyncDirectory(dirPath) {
+  let handle;
+  try {
+    handle = await fs.promises.open(dirPath, 'r');
+    await handle.sync();
+  } catch (error) {
+    // Some platforms (e.g. Windows) cannot open or fsync directories
+    if (!['EISDIR', 'EPERM', 'EACCES', 'EINVAL'].includes(error.code)) {
+      throw error;
+    }
+  } finally {
+    if (handle) await handle.close();
+  }
+}
+
+// `options.integrity` records a checksum for the new contents first, see
+// File Integrity below
+async function writeFileAtomic(filePath, data, options = {}) {
+  const tempPath = tempPathFor(filePath);
+  let handle;
+  try {
+    handle = await fs.promises.open(tempPath, 'w');
+    await handle.writeFile(data, typeof data === 'string' ? 'utf8' : undefined);
+    await handle.sync();
+    await handle.close();
+    handle = null;
+    if (options.integrity) {
+      const bytes = typeof data === 'string' ? Buffer.from(data) : data;
+      await writeChecksum(filePath, {
+        size: bytes.length,
+        count: options.integrity.count,
+        chunks: [{ size: bytes.length, checksum: sha256(bytes) }]
+      });
+    }
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    if (handle) await handle.close().catch(() => {});
+    await fs.remove(tempPath).catch(() => {});
+    throw error;
+  }
+  await fsyncDirectory(path.dirname(filePath));
+}
+
+function isProcessAlive(pid) {
+  if (pid === process.pid) return true;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// Removes temp files left behind by writers that died mid-write.
+// Files owned by live processes are kept, they may still be renamed.
+function cleanupTempFiles(dirPath) {
+  let files;
+  try {
+    files = fs.readdirSync(dirPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const removed = [];
+  for (const file of files) {
+    const match = file.match(TEMP_FILE_PATTERN);
+    if (!match || isProcessAlive(Number(match[1]))) continue;
+    try {
+      fs.unlinkSync(path.join(dirPath, file));
+      removed.push(file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  return removed;
+}
+
+// === Compression ===
+// Files ending in `.gz` or `.br` are gzip or brotli compressed. The suffix
+// alone decides, so compressed and plain files can sit side by side.
+const COMPRESSIONS = {
+  gzip: {
+    extension: '.gz',
+    compress: promisify(zlib.gzip),
+    decompress: promisify(zlib.gunzip),
+    createDecompressor: (options) => zlib.createGunzip(options)
+  },
+  brotli: {
+    extension: '.br',
+    compress: promisify(zlib.brotliCompress),
+    decompress: promisify(zlib.brotliDecompress),
+    createDecompressor: (options) => zlib.createBrotliDecompress(options)
+  }
+};
+
+const COMPRESSION_NAMES = Object.keys(COMPRESSIONS);
+
+// Extension of a compression option (false for none)
+function compressionExtension(compression) {
+  if (!compression) return '';
+  if (!COMPRESSIONS[compression]) {
+    throw new Error(`Unknown compression '${compression}', expected one of: ${COMPRESSION_NAMES.join(', ')}`);
+  }
+  return COMPRESSIONS[compression].extension;
+}
+
+function compressionForPath(filePath) {
+  return COMPRESSION_NAMES.find(name => filePath.endsWith(COMPRESSIONS[name].extension)) || false;
+}
+
+function stripCompressionExtension(filePath) {
+  const compression = compressionForPath(filePath);
+  return compression ? filePath.slice(0, -COMPRESSIONS[compression].extension.length) : filePath;
+}
+
+// === File Encoding ===
+// What goes to disk is the serialized data, compressed according to the
+// file suffix, then encrypted when `options.encryptionKey` is set (see
+// encryption.js). Reading undoes both steps; `options.decryptionKeys` lists
+// the keys that may decrypt and `options.requireEncryption` rejects
+// plaintext files.
+async function encodeFileData(filePath, data, options = {}) {
+  const compression = compressionForPath(filePath);
+  let encoded = typeof data === 'string' ? Buffer.from(data) : data;
+  if (compression) {
+    encoded = await COMPRESSIONS[compression].compress(encoded);
+  }
+  if (options.encryptionKey) {
+    encoded = encrypt(encoded, options.encryptionKey);
+  }
+  return encoded;
+}
+
+async function decodeFileData(filePath, data, options = {}) {
+  let decoded = data;
+  if (hasEncryptionHeader(decoded)) {
+    decoded = decrypt(decoded, options.decryptionKeys || [], filePath);
+  } else if (decoded.length > 0) {
+    assertPlaintextAllowed(options, filePath);
+  }
+  const compression = compressionForPath(filePath);
+  if (compression) {
+    decoded = await COMPRESSIONS[compression].decompress(decoded);
+  }
+  return decoded;
+}
+
+async function readFileDecoded(filePath, options = {}) {
+  const decoded = await decodeFileData(filePath, await fs.readFile(filePath), options);
+  return options.encoding ? decoded.toString(options.encoding) : decoded;
+}
+
+async function readFileHeader(filePath, length) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const header = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(header, 0, length, 0);
+    return header.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Streams a decoded file. Encrypted files are decrypted (and authenticated)
+// whole before anything is streamed, since GCM only verifies at the end.
+async function openDecodedReadStream(filePath, options = {}) {
+  const { encoding, decryptionKeys, requireEncryption, ...streamOptions } = options;
+
+  const header = await readFileHeader(filePath, ENCRYPTION_HEADER_LENGTH);
+  if (hasEncryptionHeader(header)) {
+    const decoded = Readable.from([await readFileDecoded(filePath, options)], { objectMode: false });
+    if (encoding) decoded.setEncoding(encoding);
+    return decoded;
+  }
+  if (header.length > 0) {
+    assertPlaintextAllowed(options, filePath);
+  }
+
+  const compression = compressionForPath(filePath);
+  if (!compression) {
+    return fs.createReadStream(filePath, { ...streamOptions, encoding });
+  }
+
+  const decompressor = COMPRESSIONS[compression].createDecompressor();
+  // pipeline forwards read errors to the decompressor
+  pipeline(fs.createReadStream(filePath, streamOptions), decompressor, () => {});
+  if (encoding) decompressor.setEncoding(encoding);
+  return decompressor;
+}
+
+// === File Integrity ===
+// Collection files written with `options.integrity` ({ count }) get a
+// `<file>.checksum` file recording the SHA-256 of their bytes and how many
+// documents they hold. Appends add a checksum for the appended range
+// instead of hashing the whole file again. The checksum file is written
+// before the file itself and keeps the last few entries, so a file that is
+// caught between the two, or left behind by a crash, still matches one of
+// them.
+const CHECKSUM_EXTENSION = '.checksum';
+const CHECKSUM_HISTORY = 3;
+const MAX_CHECKSUM_CHUNKS = 64;
+
+function checksumPath(filePath) {
+  return filePath + CHECKSUM_EXTENSION;
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+async function hashFileRange(filePath, start, end) {
+  const hash = crypto.createHash('sha256');
+  if (end > start) {
+    for await (const chunk of fs.createReadStream(filePath, { start, end: end - 1 })) {
+      hash.update(chunk);
+    }
+  }
+  return hash.digest('hex');
+}
+
+// Resolves to null if the file has no checksum
+async function readChecksum(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(checksumPath(filePath), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new IntegrityError(`Unreadable checksum file ${checksumPath(filePath)}: ${error.message}`, 'ECHECKSUM', filePath);
+  }
+}
+
+async function writeChecksum(filePath, entry) {
+  let entries = [];
+  try {
+    const current = await readChecksum(filePath);
+    if (current) entries = current.entries;
+  } catch (error) {
+    // A damaged checksum file is started over
+  }
+  await writeFileAtomic(checksumPath(filePath), stringifyJSON({
+    algorithm: 'sha256',
+    entries: [entry, ...entries].slice(0, CHECKSUM_HISTORY)
+  }));
+}
+
+// Records `data` about to be appended to a file of `size` bytes
+async function recordAppend(filePath, size, data, count) {
+  let current = null;
+  try {
+    current = await readChecksum(filePath);
+  } catch (error) {
+    // Rebuilt from the file below
+  }
+  const previous = current && current.entries.find(entry => entry.size === size);
+  let chunks = previous ? previous.chunks : [];
+  if (!previous || chunks.length >= MAX_CHECKSUM_CHUNKS) {
+    chunks = size > 0 ? [{ size, checksum: await hashFileRange(filePath, 0, size) }] : [];
+  }
+  await writeChecksum(filePath, {
+    size: size + data.length,
+    count,
+    chunks: [...chunks, { size: data.length, checksum: sha256(data) }]
+  });
+}
+
+// Resolves to the checksum entry a file matches, or to null if it has no
+// checksum. With `options.allowTail`, bytes past the end of an entry are
+// accepted: they are a torn append, which readers skip (the document count
+// catches anything else).
+async function verifyChecksum(filePath, options = {}) {
+  const checksum = await readChecksum(filePath);
+  if (!checksum) return null;
+
+  const { size } = await fs.stat(filePath);
+  for (const entry of checksum.entries) {
+    if (entry.size > size || (entry.size < size && !options.allowTail)) continue;
+    let offset = 0;
+    let matches = true;
+    for (const chunk of entry.chunks) {
+      if (await hashFileRange(filePath, offset, offset + chunk.size) !== chunk.checksum) {
+        matches = false;
+        break;
+      }
+      offset += chunk.size;
+    }
+    if (matches) return entry;
+  }
+  throw new IntegrityError(`${filePath} does not match its checksum`, 'ECHECKSUM', filePath);
+}
+
+// Appends to a file, first cutting it back to `truncateTo` (to drop a torn
+// tail). Resolves to the number of bytes written.
+async function appendFileData(filePath, data, options = {}) {
+  const { truncateTo = null, integrity = false } = options;
+  const bytes = typeof data === 'string' ? Buffer.from(data) : data;
+
+  const handle = await fs.promises.open(filePath, 'a');
+  try {
+    if (truncateTo !== null) {
+      await handle.truncate(truncateTo);
+    }
+    if (integrity) {
+      const { size } = await handle.stat();
+      await recordAppend(filePath, size, bytes, integrity.count);
+    }
+    await handle.write(bytes);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  return bytes.length;
+}
+
+// === Salvage ===
+// Reads as much of a damaged file as can be decoded: compressed data is
+// decompressed up to the first damaged byte. Encrypted files still have to
+// authenticate.
+async function readFileSalvaged(filePath, options = {}) {
+  let data = await fs.readFile(filePath);
+  if (hasEncryptionHeader(data)) {
+    data = decrypt(data, options.decryptionKeys || [], filePath);
+  }
+  const compression = compressionForPath(filePath);
+  if (compression) {
+    data = await decompressPartial(compression, data);
+  }
+  return options.encoding ? data.toString(options.encoding) : data;
+}
+
+// Fed in small pieces so that the output decoded before the damage is
+// emitted rather than held back in the decompressor's buffer
+const SALVAGE_CHUNK_SIZE = 1024;
+
+function decompressPartial(compression, data) {
+  return new Promise(resolve => {
+    const chunks = [];
+    const decompressor = COMPRESSIONS[compression].createDecompressor({ chunkSize: SALVAGE_CHUNK_SIZE });
+    decompressor.on('data', chunk => chunks.push(chunk));
+    decompressor.on('error', () => resolve(Buffer.concat(chunks)));
+    decompressor.on('end', () => resolve(Buffer.concat(chunks)));
+    for (let offset = 0; offset < data.length; offset += SALVAGE_CHUNK_SIZE) {
+      decompressor.write(data.subarray(offset, offset + SALVAGE_CHUNK_SIZE));
+    }
+    decompressor.end();
+  });
+}
+
+// Whether a parsed document came through undamaged as far as can be told:
+// a damaged date string parses into an invalid Date, which could not be
+// written back
+function isSalvageable(doc) {
+  const intact = (value) => {
+    if (value instanceof Date) return !Number.isNaN(value.getTime());
+    if (Array.isArray(value)) return value.every(intact);
+    if (isPlainObject(value)) return Object.values(value).every(intact);
+    return true;
+  };
+  return isPlainObject(doc) && doc._id !== undefined && intact(doc);
+}
+
+// Index of the brace closing the object that opens at `start`, or -1
+function matchingBrace(text, start, end = text.length) {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < end; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Recovers the documents of a damaged JSON collection file that still
+// parse on their own. In the indented files writeJSON produces every
+// document starts on a line of its own, which is where parsing resumes
+// after a damaged one; `skipped` counts those. Files without indentation
+// are searched for any object with an `_id`.
+async function salvageJSON(filePath, options = {}) {
+  const text = await readFileSalvaged(filePath, { ...options, encoding: 'utf8' });
+  const parse = isExtendedJSONEnvelope(text) ? parseExtendedJSON : parseJSON;
+
+  const indentation = /\[\s*?\n( *)\{/.exec(text);
+  const starts = [];
+  if (indentation) {
+    const pattern = new RegExp(`\n${indentation[1]}\\{`, 'g');
+    let match;
+    while ((match = pattern.exec(text))) {
+      starts.push(match.index + match[0].length - 1);
+    }
+  } else {
+    for (let i = text.indexOf('{', 1); i !== -1; i = text.indexOf('{', i + 1)) {
+      starts.push(i);
+    }
+  }
+
+  const docs = [];
+  let skipped = 0;
+  let resumeAt = 0;
+  starts.forEach((start, index) => {
+    if (start < resumeAt) return;
+    const limit = indentation && index + 1 < starts.length ? starts[index + 1] : text.length;
+    const end = matchingBrace(text, start, limit);
+    let doc = null;
+    if (end !== -1) {
+      try {
+        doc = parse(text.slice(start, end + 1));
+      } catch (error) {
+        // Damaged document
+      }
+    }
+    if (isSalvageable(doc)) {
+      docs.push(doc);
+      resumeAt = end + 1;
+    } else if (indentation) {
+      skipped++;
+    }
+  });
+  return { docs, skipped };
+}
+
+// === Write Serialization ===
+// Tasks sharing a key run one after another, in the order they were queued.
+// A failing task does not block the ones queued behind it.
+const writeQueues = new Map();
+
+function enqueueWrite(key, task) {
+  const previous = writeQueues.get(key) || Promise.resolve();
+  const run = previous.then(() => task());
+  const tail = run.catch(() => {});
+  writeQueues.set(key, tail);
+  tail.then(() => {
+    if (writeQueues.get(key) === tail) {
+      writeQueues.delete(key);
+    }
+  });
+  return run;
+}
+
+// === File Locking ===
+// Advisory locks shared between processes: a `<file>.lock` file created
+// exclusively holds the owner's pid, hostname and a random token.
+const LOCK_RETRY_INTERVAL = 20;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function readLockOwner(lockPath) {
+  try {
+    return JSON.parse(await fs.readFile(lockPath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// What identifies the lock at `lockPath` (its owner's token and its mtime)
+// if it is stale, else null
+async function staleLockState(lockPath, staleTimeout) {
+  let stats;
+  try {
+    stats = await fs.stat(lockPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  const owner = await readLockOwner(lockPath);
+  const stale = Date.now() - stats.mtimeMs > staleTimeout ||
+    Boolean(owner && owner.hostname === os.hostname() && !isProcessAlive(owner.pid));
+  return stale ? { token: owner ? owner.token : null, mtimeMs: stats.mtimeMs } : null;
+}
+
+// Breaks the lock judged stale as `state`. Renaming first guarantees only
+// one of several waiters removes it; but a waiter that judged it earlier
+// may find another waiter's fresh lock in its place by then, so the renamed
+// lock is checked before it is removed. A lock that is not the one judged
+// is put back, unless a lock was taken meanwhile.
+async function breakStaleLock(lockPath, state) {
+  const stalePath = `${lockPath}.${process.pid}.stale`;
+  let stats;
+  try {
+    await fs.rename(lockPath, stalePath);
+    stats = await fs.stat(stalePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return;
+  }
+
+  const owner = await readLockOwner(stalePath);
+  if (stats.mtimeMs !== state.mtimeMs || (owner ? owner.token : null) !== state.token) {
+    try {
+      // Unlike rename, link never replaces a lock taken meanwhile
+      await fs.link(stalePath, lockPath);
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+  }
+  await fs.remove(stalePath);
+}
+
+async function acquireLock(filePath, options = {}) {
+  const {
+    timeout = 10000,
+    staleTimeout = 30000
+  } = options;
+
+  const lockPath = `${filePath}.lock`;
+  const token = new ObjectId().toString();
+  const owner = JSON.stringify({
+    pid: process.pid,
+    hostname: os.hostname(),
+    token,
+    acquiredAt: new Date().toISOString()
+  });
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    try {
+      await fs.writeFile(lockPath, owner, { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        await fs.mkdir(path.dirname(lockPath), { recursive: true });
+        continue;
+      }
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const stale = await staleLockState(lockPath, staleTimeout);
+    if (stale) {
+      await breakStaleLock(lockPath, stale);
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new LockTimeoutError(lockPath, timeout);
+    }
+    await sleep(LOCK_RETRY_INTERVAL);
+  }
+
+  // Keep the lock fresh so long-running writes are not mistaken for stale ones
+  const heartbeat = setInterval(() => {
+    const now = new Date();
+    fs.utimes(lockPath, now, now).catch(() => {});
+  }, Math.max(staleTimeout / 2, LOCK_RETRY_INTERVAL));
+  heartbeat.unref();
+
+  return async function release() {
+    clearInterval(heartbeat);
+    const current = await readLockOwner(lockPath);
+    if (current && current.token === token) {
+      await fs.remove(lockPath);
+    }
+  };
+}
+
+async function withFileLock(filePath, fn, options = {}) {
+  const release = await acquireLock(filePath, options);
+  try {
+    return await fn();
+  } finally {
+    await release();
+  }
+}
+
 // === Type Validation ===
 function validateType(value, type, options = {}) {
   const { 
@@ -160,8 +947,36 @@ function formatOutput(obj, options = {}) {
 }
 
 module.exports = {
+  parseJSON,
+  stringifyJSON,
+  parseExtendedJSON,
+  stringifyExtendedJSON,
+  isExtendedJSONEnvelope,
+  isPlainObject,
   readJSON,
+  iterateJSON,
   writeJSON,
+  writeFileAtomic,
+  cleanupTempFiles,
+  checksumPath,
+  readChecksum,
+  verifyChecksum,
+  appendFileData,
+  readFileSalvaged,
+  isSalvageable,
+  salvageJSON,
+  COMPRESSION_NAMES,
+  compressionExtension,
+  compressionForPath,
+  stripCompressionExtension,
+  encodeFileData,
+  decodeFileData,
+  readFileDecoded,
+  readFileHeader,
+  openDecodedReadStream,
+  enqueueWrite,
+  acquireLock,
+  withFileLock,
   validateType,
   formatOutput
 };
\ No newline at end of file